@@ -0,0 +1,60 @@
+// api/_lib/birth.js
+// Geburtszeit mit Zeitzone (IANA-Name, fester Offset oder LMT, siehe zones.js) und Geburtsort.
+// Ungültige Eingaben werfen einen Error mit deutscher Meldung (Endpunkt: 400).
+
+import { parseDateParam } from "./dates.js";
+import { parseZoneOrThrow, localToUtcMs } from "./zones.js";
+
+export function toNumberOrThrow(s, name) {
+  const v = Number(s);
+  if (!Number.isFinite(v)) throw new Error(`Ungültiger Parameter ${name}: ${s}`);
+  return v;
+}
+
+export function parseTimeParam(s) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(s || "").trim());
+  if (!m) return null;
+  const hh = Number(m[1]);
+  const mm = Number(m[2]);
+  const ss = Number(m[3] || 0);
+  if (hh > 23 || mm > 59 || ss > 59) return null;
+  return { hh, mm, ss };
+}
+
+// birthDate/birthTime/birthTz (+ birthLat/birthLon) -> { ms, zone, place, gap, ambiguous }.
+// Ohne birthDate liefert parseLegacy(query) den Zeitpunkt (ms) aus den Alt-Parametern
+// des Endpunkts; zone ist dann null.
+export function parseBirthOrThrow(query, parseLegacy) {
+  const { birthDate, birthTime, birthTz, birthLat, birthLon } = query;
+
+  const lat = birthLat != null && birthLat !== "" ? toNumberOrThrow(birthLat, "birthLat") : null;
+  const lon = birthLon != null && birthLon !== "" ? toNumberOrThrow(birthLon, "birthLon") : null;
+  if (lat != null && Math.abs(lat) > 90) throw new Error(`Ungültiger Parameter birthLat: ${birthLat}`);
+  if (lon != null && Math.abs(lon) > 180) throw new Error(`Ungültiger Parameter birthLon: ${birthLon}`);
+  if ((lat == null) !== (lon == null)) throw new Error("Geburtsort: birthLat und birthLon nur zusammen angeben.");
+  const place = lat != null && lon != null ? { lat, lon } : null;
+
+  if (!birthDate) {
+    return { ms: parseLegacy(query), zone: null, place, gap: false, ambiguous: false };
+  }
+
+  const d = parseDateParam(birthDate);
+  const t = parseTimeParam(birthTime);
+  if (!d) throw new Error("Parameter birthDate ungültig (YYYY-MM-DD).");
+  if (!t) throw new Error("Parameter birthTime fehlt/ungültig (HH:MM).");
+  if (!birthTz) throw new Error("Parameter birthTz fehlt (IANA-Name wie Europe/Berlin, Offset wie +1 oder LMT).");
+
+  const zone = parseZoneOrThrow(birthTz, "birthTz", lon);
+  const { ms, gap, ambiguous } = localToUtcMs(zone, d.y, d.mo, d.d, t.hh, t.mm, t.ss);
+  return { ms, zone, place, gap, ambiguous };
+}
+
+// Hinweis zur Geburtszeit bei Zeitumstellung (sonst null)
+export function birthWarning({ gap, ambiguous }) {
+  if (gap) return "Geburtszeit liegt in der Zeitumstellung (Ortszeit existiert nicht), um den Sprung verschoben.";
+  if (ambiguous) {
+    return "Geburtszeit liegt in der Rückstellung (Ortszeit kommt zweimal vor), gerechnet mit dem früheren Zeitpunkt; " +
+      "für den späteren birthTz als Offset angeben.";
+  }
+  return null;
+}
@@ -0,0 +1,83 @@
+// api/_lib/calc.js
+// Zugriff auf swe.calc_ut mit Prüfung der Rückgabe (Distanz, Länge, Geschwindigkeit)
+// und verständliche Fehlertexte, wenn SwissEph für einen Körper nicht rechnen kann.
+
+import { norm360 } from "./zodiac.js";
+
+// calc_ut liefert je nach Build ein Array/TypedArray oder { data }
+export function normalizeCalcUtResult(raw) {
+  if (!raw) return null;
+  if (Array.isArray(raw) || ArrayBuffer.isView(raw)) return raw;
+  if (raw.data && (Array.isArray(raw.data) || ArrayBuffer.isView(raw.data))) return raw.data;
+  return null;
+}
+
+export function makeCalc(swe, bodyId) {
+  const flags = swe.SEFLG_SWIEPH | swe.SEFLG_SPEED;
+
+  function safeCalcUt(jd) {
+    let raw;
+    try {
+      raw = swe.calc_ut(jd, bodyId, flags);
+    } catch (e) {
+      throw new Error(`calc_ut Exception: ${String(e?.message || e)}`);
+    }
+
+    const pos = normalizeCalcUtResult(raw);
+    if (!pos || typeof pos.length !== "number" || pos.length < 4) {
+      throw new Error("calc_ut lieferte kein gültiges Array/TypedArray");
+    }
+    return pos;
+  }
+
+  return {
+    getDist(jd) {
+      const pos = safeCalcUt(jd);
+      const d = pos[2];
+      if (!Number.isFinite(d) || d <= 0) throw new Error(`Ungültige Distanz: ${String(d)}`);
+      return d;
+    },
+    getLonSpeed(jd) {
+      const pos = safeCalcUt(jd);
+      const sp = pos[3];
+      if (!Number.isFinite(sp)) throw new Error(`Ungültige Speed: ${String(sp)}`);
+      return sp;
+    },
+    getLon(jd) {
+      const pos = safeCalcUt(jd);
+      const lon = pos[0];
+      if (!Number.isFinite(lon)) throw new Error(`Ungültige Länge: ${String(lon)}`);
+      return norm360(lon);
+    },
+    getLonAndSpeed(jd) {
+      const pos = safeCalcUt(jd);
+      const lon = pos[0];
+      const sp = pos[3];
+      if (!Number.isFinite(lon)) throw new Error(`Ungültige Länge: ${String(lon)}`);
+      if (!Number.isFinite(sp)) throw new Error(`Ungültige Speed: ${String(sp)}`);
+      return { lon: norm360(lon), speed: sp };
+    },
+    getLonLat(jd) {
+      const pos = safeCalcUt(jd);
+      const lon = pos[0];
+      const lat = pos[1];
+      if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+        throw new Error(`Ungültige Länge/Breite: ${String(lon)}/${String(lat)}`);
+      }
+      return { lon: norm360(lon), lat };
+    }
+  };
+}
+
+// SwissEph-Fehlertexte in eine klare Meldung pro Körper übersetzen
+export function explainCalcError(err, body) {
+  const msg = String(err?.message || err);
+  const missing = /file '([^']+)' not found/i.exec(msg);
+  if (missing) {
+    return `Ephemeridendatei ${missing[1]} fehlt in api/ephe – für ${body.name} gibt es keinen Moshier-Ersatz (nur Sonne, Mond und Planeten).`;
+  }
+  if (/restricted|beyond|outside|limits/i.test(msg)) {
+    return `Zeitraum liegt außerhalb der Ephemeride für ${body.name}: ${msg}`;
+  }
+  return `Berechnung nicht möglich: ${msg}`;
+}
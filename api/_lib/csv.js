@@ -0,0 +1,22 @@
+// api/_lib/csv.js
+// CSV-Export für Excel (deutsch): Semikolon-getrennt, Dezimalkomma, UTF-8 mit BOM
+// (sonst zeigt Excel die Umlaute falsch an).
+
+export function csvCell(v) {
+  if (v == null) return "";
+  if (typeof v === "boolean") return v ? "ja" : "nein";
+  let s = typeof v === "number" ? String(v).replace(".", ",") : String(v);
+  if (/[";\r\n]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+export function buildCsv(header, rows) {
+  const lines = [header, ...rows].map((row) => row.map(csvCell).join(";"));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function sendCsv(res, filename, body) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(body);
+}
@@ -0,0 +1,112 @@
+// api/_lib/dates.js
+// Gemeinsame Datums-Helfer der Jahres-Endpunkte (JD <-> Kalender, Zeitraum year oder from/to).
+// Dateien mit "_" am Anfang werden von Vercel nicht als eigene Funktion ausgeliefert.
+
+// --------------- Datum helpers (UTC) ---------------
+export function jdToCalendar(jd) {
+  const Z = Math.floor(jd + 0.5);
+  const F = jd + 0.5 - Z;
+
+  let A = Z;
+  if (Z >= 2299161) {
+    const alpha = Math.floor((Z - 1867216.25) / 36524.25);
+    A = Z + 1 + alpha - Math.floor(alpha / 4);
+  }
+
+  const B = A + 1524;
+  const C = Math.floor((B - 122.1) / 365.25);
+  const D = Math.floor(365.25 * C);
+  const E = Math.floor((B - D) / 30.6001);
+
+  const dayFloat = B - D - Math.floor(30.6001 * E) + F;
+  const day = Math.floor(dayFloat + 1e-6);
+
+  const month = (E < 14) ? (E - 1) : (E - 13);
+  const year = (month > 2) ? (C - 4716) : (C - 4715);
+
+  return { year, month, day };
+}
+
+// Umkehrung zu jdToCalendar: julianischer Kalender bis 04.10.1582, danach gregorianisch
+export function calendarToJd(year, month, day, hour = 0) {
+  let y = year;
+  let m = month;
+  if (m <= 2) {
+    y -= 1;
+    m += 12;
+  }
+
+  const gregorian = year > 1582 || (year === 1582 && (month > 10 || (month === 10 && day >= 15)));
+  let B = 0;
+  if (gregorian) {
+    const A = Math.floor(y / 100);
+    B = 2 - A + Math.floor(A / 4);
+  }
+
+  return Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + day + B - 1524.5 + hour / 24;
+}
+
+export function formatDateDE({ year, month, day }) {
+  const dd = String(day).padStart(2, "0");
+  const mm = String(month).padStart(2, "0");
+  return `${dd}.${mm}.${year}`;
+}
+
+// JD (UT) -> ISO-String, auf die Minute gerundet
+export function jdToIsoUtc(jd) {
+  const ms = (jd - 2440587.5) * 86400000;
+  const msMinute = Math.round(ms / 60000) * 60000;
+  return new Date(msMinute).toISOString();
+}
+
+// ---------------- Zeitraum (year oder from/to) ----------------
+export function parseDateParam(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || "").trim());
+  if (!m) return null;
+  const y = Number(m[1]);
+  const mo = Number(m[2]);
+  const d = Number(m[3]);
+  if (mo < 1 || mo > 12 || d < 1 || d > 31) return null;
+
+  // 2025-02-31 o. ä. nicht stillschweigend in den Folgemonat schieben
+  const back = jdToCalendar(calendarToJd(y, mo, d));
+  if (back.year !== y || back.month !== mo || back.day !== d) return null;
+  return { y, mo, d };
+}
+
+export function formatDateISO({ y, mo, d }) {
+  return `${String(y).padStart(4, "0")}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// -> { year, from, to } (to inklusive) oder { error }
+// limits = { minYear, maxYear, maxRangeDays } des jeweiligen Endpunkts
+export function parseRangeParams(params, { minYear, maxYear, maxRangeDays }) {
+  const hasFrom = params.from != null && String(params.from).trim() !== "";
+  const hasTo = params.to != null && String(params.to).trim() !== "";
+
+  if (hasFrom || hasTo) {
+    const from = parseDateParam(params.from);
+    const to = parseDateParam(params.to);
+    if (!from || !to) {
+      return { error: "Parameter from/to fehlen/ungültig (beide als YYYY-MM-DD angeben)." };
+    }
+    if (from.y < minYear || to.y > maxYear) {
+      return { error: `Zeitraum muss zwischen ${minYear} und ${maxYear} liegen.` };
+    }
+
+    const spanDays = calendarToJd(to.y, to.mo, to.d) - calendarToJd(from.y, from.mo, from.d) + 1;
+    if (!(spanDays >= 1)) {
+      return { error: "Parameter from muss vor oder gleich to liegen." };
+    }
+    if (spanDays > maxRangeDays) {
+      return { error: `Zeitraum zu lang (max. ${maxRangeDays} Tage).` };
+    }
+    return { year: null, from, to };
+  }
+
+  const year = parseInt(params.year ?? "", 10);
+  if (!Number.isFinite(year) || year < minYear || year > maxYear) {
+    return { error: `Bitte ein Jahr zwischen ${minYear} und ${maxYear} oder from/to (YYYY-MM-DD) angeben.` };
+  }
+  return { year, from: { y: year, mo: 1, d: 1 }, to: { y: year, mo: 12, d: 31 } };
+}
@@ -0,0 +1,24 @@
+// api/_lib/eclipses.js
+// Finsternistyp aus dem Rückgabe-Flag von sol_eclipse_when_glob / lun_eclipse_when.
+
+// hybrid zuerst prüfen (kommt zusammen mit CENTRAL/NONCENTRAL und TOTAL/ANNULAR)
+export const SOLAR_ECLIPSE_TYPES = [
+  { flag: "SE_ECL_ANNULAR_TOTAL", type: "hybrid",  label: "Hybride Sonnenfinsternis" },
+  { flag: "SE_ECL_TOTAL",         type: "total",   label: "Totale Sonnenfinsternis" },
+  { flag: "SE_ECL_ANNULAR",       type: "annular", label: "Ringförmige Sonnenfinsternis" },
+  { flag: "SE_ECL_PARTIAL",       type: "partial", label: "Partielle Sonnenfinsternis" }
+];
+
+export const LUNAR_ECLIPSE_TYPES = [
+  { flag: "SE_ECL_TOTAL",     type: "total",     label: "Totale Mondfinsternis" },
+  { flag: "SE_ECL_PARTIAL",   type: "partial",   label: "Partielle Mondfinsternis" },
+  { flag: "SE_ECL_PENUMBRAL", type: "penumbral", label: "Halbschatten-Mondfinsternis" }
+];
+
+// -> Eintrag aus table oder null
+export function eclipseTypeOf(swe, retFlag, table) {
+  for (const t of table) {
+    if (retFlag & swe[t.flag]) return t;
+  }
+  return null;
+}
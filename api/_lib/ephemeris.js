@@ -0,0 +1,50 @@
+// api/_lib/ephemeris.js
+// Welche Ephemeride hat SwissEph wirklich benutzt (Datei aus api/ephe oder Moshier)?
+
+import path from "path";
+
+export const EPHE_ACCURACY = {
+  SWIEPH: "Swiss Ephemeris-Datei (JPL DE431): Positionen auf ca. 0,001″ genau.",
+  MOSEPH: "Moshier (analytisch, ohne Datei): Planeten ca. 0,1″–1″, Mond ca. 3″ (bezogen auf 1800–2200, außerhalb geringer).",
+  UNBEKANNT: "Ephemeride nicht ermittelbar (SwissEph-Build ohne get_current_file_data)."
+};
+
+// SwissEph fällt ohne passende Datei still auf Moshier zurück (Asteroiden/Chiron: Fehler).
+// Nach einer Rechnung verrät get_current_file_data, ob die Datei wirklich offen war.
+// fileIndex: 0 = Planeten (sepl), 1 = Mond (semo), 2 = Asteroiden (seas)
+export function detectEphemeris(swe, jd, bodyId, fileIndex) {
+  swe.calc_ut(jd, bodyId, swe.SEFLG_SWIEPH);
+  if (typeof swe.get_current_file_data !== "function") return { type: "UNBEKANNT", label: "unbekannt" };
+
+  const fd = swe.get_current_file_data(fileIndex);
+  const file = fd && fd.path ? path.basename(String(fd.path)) : "";
+  if (file && fd.end > fd.start && jd >= fd.start && jd <= fd.end) {
+    return { type: "SWIEPH", label: file };
+  }
+  return { type: "MOSEPH", label: "Moshier" };
+}
+
+// Ephemeride an Anfang und Ende prüfen (ein Zeitraum kann über eine Dateigrenze reichen)
+export function detectEphemerisRange(swe, jdStart, jdEnd, bodyId, fileIndex) {
+  const a = detectEphemeris(swe, jdStart, bodyId, fileIndex);
+  const b = detectEphemeris(swe, jdEnd, bodyId, fileIndex);
+  const types = [...new Set([a.type, b.type])];
+  const label = a.label === b.label ? a.label : `${a.label} / ${b.label}`;
+  return { types, label };
+}
+
+// from/to = { y, ... } (Kalenderjahr reicht für den ΔT-Hinweis)
+export function buildEphemerisMeta(usedTypes, from, to) {
+  const types = [...new Set(usedTypes)];
+  const accuracy = {};
+  for (const t of types) accuracy[t] = EPHE_ACCURACY[t];
+
+  return {
+    types,
+    accuracy,
+    calendar: "datum vor dem 15.10.1582 im julianischen Kalender, danach gregorianisch; ISO-Zeiten (datetime_utc) immer proleptisch gregorianisch.",
+    deltaT: (from.y < 1600 || to.y > 2100)
+      ? "Außerhalb ca. 1600–2100 ist ΔT (Erdrotation) unsicher: UT-Zeiten können um Minuten bis Stunden abweichen."
+      : null
+  };
+}
@@ -0,0 +1,80 @@
+// api/_lib/ics.js
+// iCalendar-Export (RFC 5545) der Ereignis-Endpunkte: ein VEVENT pro Ereignis, UTC-Zeiten.
+
+import { jdToIsoUtc } from "./dates.js";
+
+// ---------------- iCalendar (RFC 5545) ----------------
+export function icsEscape(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Zeilen über 75 Oktette falten (Fortsetzung beginnt mit Leerzeichen), UTF-8-sicher
+export function icsFold(line) {
+  const parts = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const b = Buffer.byteLength(ch, "utf8");
+    if (bytes + b > 75) {
+      parts.push(cur);
+      cur = " ";
+      bytes = 1;
+    }
+    cur += ch;
+    bytes += b;
+  }
+  parts.push(cur);
+  return parts.join("\r\n");
+}
+
+// ISO/UTC ("2025-01-04T13:28:00.000Z") -> "20250104T132800Z"
+export function icsDateTime(iso) {
+  return iso.replace(/\.\d+Z$/, "Z").replace(/[-:]/g, "");
+}
+
+// UID aus Ereignisart (+ Körper) + UTC-Tag: erneuter Import aktualisiert statt zu duplizieren
+export function icsUid(...parts) {
+  return `${parts.join("-")}@perigaeum-finder`;
+}
+
+export function buildIcs(prodId, calName, events) {
+  const stamp = icsDateTime(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//Perigaeum-Finder//${prodId}//DE`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(calName)}`
+  ];
+
+  for (const ev of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${ev.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDateTime(ev.start)}`,
+      `SUMMARY:${icsEscape(ev.summary)}`
+    );
+    if (ev.description) lines.push(`DESCRIPTION:${icsEscape(ev.description)}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+export function sendIcs(res, filename, body) {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(body);
+}
+
+// JD -> "YYYYMMDD" (UTC-Tag, z.B. für UIDs)
+export function icsDay(jd) {
+  return jdToIsoUtc(jd).slice(0, 10).replace(/-/g, "");
+}
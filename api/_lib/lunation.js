@@ -0,0 +1,51 @@
+// api/_lib/lunation.js
+// Mondphasen über den Phasenwinkel (Länge Mond − Länge Sonne, geozentrisch, 0° = Neumond,
+// 180° = Vollmond): ein Scan für beliebige Zielwinkel, Bisektion auf 1 Sekunde.
+
+import { norm360 } from "./zodiac.js";
+
+const SCAN_STEP_DAYS = 0.25;   // 6h: der Phasenwinkel wächst um max. ca. 4°, nichts wird übersprungen
+const REFINE_DAYS = 1 / 86400; // 1 Sekunde, damit die Minutenrundung stabil bleibt
+
+// signed diff a - b in degrees, wrapped to [-180..+180]
+function signedDiffDeg(a, b) {
+  let d = norm360(a - b);
+  if (d > 180) d -= 360;
+  return d;
+}
+
+export function getPhaseDeltaDeg(swe, jd) {
+  const moonLon = swe.calc_ut(jd, swe.SE_MOON, swe.SEFLG_SWIEPH)[0];
+  const sunLon = swe.calc_ut(jd, swe.SE_SUN, swe.SEFLG_SWIEPH)[0];
+  return norm360(moonLon - sunLon);
+}
+
+// Zeitpunkt, an dem der Phasenwinkel targetDeg erreicht (in [a, b] eingeschlossen)
+function refinePhaseCrossing(swe, a, b, targetDeg) {
+  for (let i = 0; i < 60 && (b - a) > REFINE_DAYS; i++) {
+    const m = (a + b) / 2;
+    if (signedDiffDeg(getPhaseDeltaDeg(swe, m), targetDeg) < 0) a = m;
+    else b = m;
+  }
+  return (a + b) / 2;
+}
+
+// Alle Zeitpunkte in [jdStart, jdEnd), an denen der Phasenwinkel einen der Winkel in
+// angles erreicht -> [{ jd, angle }], zeitlich sortiert
+export function findPhaseCrossings(swe, jdStart, jdEnd, angles) {
+  const events = [];
+  let prev = getPhaseDeltaDeg(swe, jdStart);
+
+  for (let jd = jdStart + SCAN_STEP_DAYS; jd < jdEnd + SCAN_STEP_DAYS; jd += SCAN_STEP_DAYS) {
+    const cur = getPhaseDeltaDeg(swe, jd);
+    for (const angle of angles) {
+      if (signedDiffDeg(prev, angle) < 0 && signedDiffDeg(cur, angle) >= 0) {
+        const jdPhase = refinePhaseCrossing(swe, jd - SCAN_STEP_DAYS, jd, angle);
+        if (jdPhase >= jdStart && jdPhase < jdEnd) events.push({ jd: jdPhase, angle });
+      }
+    }
+    prev = cur;
+  }
+
+  return events;
+}
@@ -0,0 +1,78 @@
+// api/_lib/search.js
+// Suchverfahren über die Zeitachse (JD), unabhängig vom Körper.
+
+// Goldener Schnitt: Minimum von f in [a, b] bis auf tolDays
+export function goldenMin(f, a, b, tolDays) {
+  const gr = (Math.sqrt(5) - 1) / 2;
+  let c = b - gr * (b - a);
+  let d = a + gr * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+
+  for (let it = 0; it < 80; it++) {
+    if ((b - a) <= tolDays) break;
+    if (fd < fc) {
+      a = c; c = d; fc = fd;
+      d = a + gr * (b - a);
+      fd = f(d);
+    } else {
+      b = d; d = c; fd = fc;
+      c = b - gr * (b - a);
+      fc = f(c);
+    }
+  }
+  return (a + b) / 2;
+}
+
+// Retro-Fenster (Hysterese): [[jdStart, jdEnd], ...] mit negativer Längengeschwindigkeit
+export function findRetroWindows(getLonSpeed, jdStart, jdEnd) {
+  const step = 0.125; // 3h
+  const need = 3;     // 9h Stabilität
+  const epsSpeed = 1e-6;
+
+  const windows = [];
+  let inRetro = false;
+  let startJd = null;
+  let retroStreak = 0;
+  let directStreak = 0;
+
+  for (let jd = jdStart; jd <= jdEnd + 1e-9; jd += step) {
+    const curJd = Math.min(jd, jdEnd);
+    const sp = getLonSpeed(curJd);
+
+    if (Math.abs(sp) <= epsSpeed) {
+      if (curJd >= jdEnd) break;
+      continue;
+    }
+
+    const isRetro = sp < 0;
+
+    if (isRetro) {
+      retroStreak++;
+      directStreak = 0;
+    } else {
+      directStreak++;
+      retroStreak = 0;
+    }
+
+    if (!inRetro && retroStreak >= need) {
+      inRetro = true;
+      startJd = curJd - step * (need + 1);
+      if (startJd < jdStart) startJd = jdStart;
+    }
+
+    if (inRetro && directStreak >= need) {
+      inRetro = false;
+      windows.push([startJd, curJd]);
+      startJd = null;
+    }
+
+    if (curJd >= jdEnd) break;
+  }
+
+  if (inRetro && startJd != null) {
+    windows.push([startJd, jdEnd]);
+  }
+
+  return windows.filter(([a, b]) => (b - a) > 1.0);
+}
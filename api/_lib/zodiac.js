@@ -0,0 +1,27 @@
+// api/_lib/zodiac.js
+// Tierkreis-Helfer (tropisch, deutsche Zeichennamen) für die Positionsangaben der Endpunkte.
+
+export const SIGN_DE = [
+  "Widder", "Stier", "Zwillinge", "Krebs", "Löwe", "Jungfrau",
+  "Waage", "Skorpion", "Schütze", "Steinbock", "Wassermann", "Fische"
+];
+
+export function norm360(x) {
+  let v = x % 360;
+  if (v < 0) v += 360;
+  return v;
+}
+
+// lon in [0..360) -> { sign, deg, min, text } (Minuten abgeschnitten, nicht gerundet)
+export function formatZodiacPos(lon) {
+  const signIndex = Math.floor(lon / 30);
+  const inSign = lon - signIndex * 30;
+
+  const deg = Math.floor(inSign);
+  const min = Math.floor((inSign - deg) * 60 + 1e-9);
+
+  const sign = SIGN_DE[signIndex] || "";
+  const text = `${deg}°${String(min).padStart(2, "0")}′ ${sign}`;
+
+  return { sign, deg, min, text };
+}
@@ -0,0 +1,99 @@
+// api/_lib/zones.js
+// Zeitzonen für Ortszeit-Ein- und -Ausgabe: IANA-Name (Sommerzeit laut Intl-Zeitzonendatenbank),
+// fester Offset oder LMT (mittlere Ortszeit aus der geografischen Länge).
+// Ungültige Angaben werfen einen Error mit deutscher Meldung (Endpunkt: 400).
+
+// Date.UTC mit vierstelligem Jahr (Date.UTC macht aus 0..99 sonst 1900..1999)
+export function utcMs(y, mo, d, hh = 0, mm = 0, ss = 0) {
+  const dt = new Date(Date.UTC(2000, mo - 1, d, hh, mm, ss));
+  dt.setUTCFullYear(y);
+  return dt.getTime();
+}
+
+// Offset (lokal - UTC) einer IANA-Zone zum Zeitpunkt ms, aus der Intl-Zeitzonendatenbank
+function ianaOffsetMs(zone, ms) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    hourCycle: "h23",
+    era: "short"
+  }).formatToParts(new Date(ms));
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  let y = Number(get("year"));
+  if (get("era") === "BC") y = 1 - y;
+  const local = utcMs(y, Number(get("month")), Number(get("day")), Number(get("hour")), Number(get("minute")), Number(get("second")));
+  return local - Math.floor(ms / 1000) * 1000;
+}
+
+// "Europe/Berlin" | "+1" / "-5" / "+5.5" | "+02:00" / "-03:30" | "LMT" (braucht lon)
+// -> { name, offsetMs(ms) }
+export function parseZoneOrThrow(s, name, lon = null) {
+  const v = String(s || "").trim();
+
+  if (/^[+-]?\d+(\.\d+)?$/.test(v)) {
+    const hours = Number(v);
+    if (Math.abs(hours) > 14) throw new Error(`Ungültiger Parameter ${name}: ${s}`);
+    return { name: `UTC${hours < 0 ? "" : "+"}${hours}`, offsetMs: () => hours * 3600000 };
+  }
+
+  const hhmm = /^([+-])(\d{1,2}):(\d{2})$/.exec(v);
+  if (hhmm) {
+    const minutes = Number(hhmm[2]) * 60 + Number(hhmm[3]);
+    if (Number(hhmm[3]) > 59 || minutes > 14 * 60) throw new Error(`Ungültiger Parameter ${name}: ${s}`);
+    const sign = hhmm[1] === "-" ? -1 : 1;
+    return { name: `UTC${hhmm[1]}${hhmm[2].padStart(2, "0")}:${hhmm[3]}`, offsetMs: () => sign * minutes * 60000 };
+  }
+
+  if (v.toUpperCase() === "LMT") {
+    if (lon == null) throw new Error(`${name}=LMT braucht einen Ort (Ortszeit aus der geografischen Länge).`);
+    const offset = Math.round(lon * 240) * 1000; // 4 Zeitminuten pro Grad
+    return { name: "LMT", offsetMs: () => offset };
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: v });
+  } catch (_) {
+    throw new Error(`Ungültige Zeitzone ${name}: ${s} (IANA-Name wie Europe/Berlin, Offset wie +1 / +02:00 oder LMT)`);
+  }
+  return { name: v, offsetMs: (ms) => ianaOffsetMs(v, ms) };
+}
+
+// Ortszeit -> UTC-ms; bei Zeitumstellung zweiter Schritt mit dem Offset am Ergebnis.
+// gap = true: die Ortszeit existiert nicht (Sprung auf Sommerzeit)
+// ambiguous = true: die Ortszeit kommt zweimal vor (Rückstellung); ms ist dann der frühere Zeitpunkt
+export function localToUtcMs(zone, y, mo, d, hh, mm, ss) {
+  const local = utcMs(y, mo, d, hh, mm, ss);
+  let utc = local - zone.offsetMs(local);
+  const off2 = zone.offsetMs(utc);
+  if (utc + off2 !== local) utc = local - off2;
+  const gap = utc + zone.offsetMs(utc) !== local;
+
+  // Zweite Lösung mit dem Offset 6 h vor bzw. nach dem Ergebnis
+  let ambiguous = false;
+  if (!gap) {
+    for (const shift of [-6 * 3600000, 6 * 3600000]) {
+      const other = local - zone.offsetMs(utc + shift);
+      if (other !== utc && other + zone.offsetMs(other) === local) {
+        ambiguous = true;
+        utc = Math.min(utc, other);
+      }
+    }
+  }
+  return { ms: utc, gap, ambiguous };
+}
+
+// UTC-ms -> "2025-03-01T14:05:09+01:00" in der Zone
+export function formatLocalIso(zone, ms) {
+  const offset = zone.offsetMs(ms);
+  const local = new Date(Math.floor(ms / 1000) * 1000 + offset).toISOString().slice(0, 19);
+  const offMin = Math.round(offset / 60000);
+  const sign = offMin < 0 ? "-" : "+";
+  const abs = Math.abs(offMin);
+  return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
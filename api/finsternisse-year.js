@@ -0,0 +1,392 @@
+// api/finsternisse-year.js
+// Sonnen- und Mondfinsternisse pro Jahr (deutsch, UTC)
+//
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS).
+//
+// - Sonnenfinsternisse: sol_eclipse_when_glob (Zeit der größten Verfinsterung weltweit),
+//   Größe + Saros aus sol_eclipse_where, dazu der Ort der größten Verfinsterung.
+// - Mondfinsternisse: lun_eclipse_when, Größe (Kernschatten, bei Halbschattenfinsternis
+//   Halbschatten) + Saros aus lun_eclipse_how, Kontaktzeiten (weltweit gleich).
+// - Typ: total, ringförmig (annular), hybrid, partiell, Halbschatten (penumbral).
+// - Tierkreisposition im Maximum: Sonne bei Sonnen-, Mond bei Mondfinsternissen.
+// - Optional lat/lon (Grad, Nord/Ost positiv) und alt (Meter): lokale Sichtbarkeit mit
+//   lokalem Maximum, lokaler Größe, Höhe über dem Horizont und Kontaktzeiten.
+//
+// Ausgabe: format=json (Standard), format=ics (eine VEVENT pro Finsternis, stabile UID pro
+// Art + Tag) oder format=csv (eine Zeile pro Finsternis, zeitlich sortiert).
+//
+// Ephemeride: Dateien aus api/ephe (wie perigaeum-year), sonst Moshier.
+
+import SwissEph from "swisseph-wasm";
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { icsUid, buildIcs, sendIcs } from "./_lib/ics.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { formatZodiacPos } from "./_lib/zodiac.js";
+import { makeCalc } from "./_lib/calc.js";
+import { SOLAR_ECLIPSE_TYPES, LUNAR_ECLIPSE_TYPES, eclipseTypeOf } from "./_lib/eclipses.js";
+
+export const config = { runtime: "nodejs" };
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 10 * 366; // Suche springt von Finsternis zu Finsternis, 10 Jahre sind billig
+
+// Lokale Suche startet 1 Tag vor dem globalen Maximum; Treffer weiter als 0,5 Tage daneben
+// gehören zu einer anderen Finsternis (die gesuchte ist am Ort nicht sichtbar)
+const LOCAL_MATCH_DAYS = 0.5;
+
+// ---------------- CORS ----------------
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin || "";
+  res.setHeader("Access-Control-Allow-Origin", origin || "*");
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+}
+
+// ---------------- Rundung ----------------
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+// ---------------- Position im Maximum ----------------
+function describePoint(jd, calc) {
+  const lon = calc.getLon(jd);
+  const pos = formatZodiacPos(lon);
+
+  return {
+    datum: formatDateDE(jdToCalendar(jd)),
+    datetime_utc: jdToIsoUtc(jd),
+    jd: round(jd, 6),
+    lon: round(lon, 4),
+    sign: pos.sign,
+    deg: pos.deg,
+    min: pos.min,
+    posText: pos.text
+  };
+}
+
+// ---------------- Finsternisse ----------------
+// 0 = Kontakt findet nicht statt
+function isoOrNull(jd) {
+  return jd > 0 ? jdToIsoUtc(jd) : null;
+}
+
+// Alle globalen Maxima in [jdStart, jdEnd); whenFn = sol_eclipse_when_glob / lun_eclipse_when
+function findEclipses(whenFn, jdStart, jdEnd) {
+  const found = [];
+  let jd = jdStart;
+
+  for (;;) {
+    const r = whenFn(jd);
+    if (!r) throw new Error("Finsternissuche lieferte keinen Treffer (Ephemeride prüfen)");
+    const jdMax = r.tret[0];
+    if (jdMax >= jdEnd) break;
+    found.push({ jdMax, retFlag: r.retFlag, tret: r.tret });
+    jd = jdMax + 1; // nächste Finsternis frühestens ca. 2 Wochen später
+  }
+
+  return found;
+}
+
+function describeSolarEclipse(swe, ecl, sunCalc) {
+  const flags = swe.SEFLG_SWIEPH;
+  const t = eclipseTypeOf(swe, ecl.retFlag, SOLAR_ECLIPSE_TYPES);
+  const where = swe.sol_eclipse_where(ecl.jdMax, flags);
+  if (!where) throw new Error("sol_eclipse_where fehlgeschlagen");
+
+  return {
+    kind: "Sonnenfinsternis",
+    type: t ? t.type : null,
+    label: t ? t.label : "Sonnenfinsternis",
+    central: (ecl.retFlag & swe.SE_ECL_CENTRAL) !== 0,
+    ...describePoint(ecl.jdMax, sunCalc),
+    magnitude: round(where.attr[8], 4),
+    obscuration: round(where.attr[2], 4),
+    saros: { series: Math.round(where.attr[9]), member: Math.round(where.attr[10]) },
+    greatestEclipse: { lat: round(where.geopos[1], 2), lon: round(where.geopos[0], 2) },
+    contacts: {
+      begin: isoOrNull(ecl.tret[2]),
+      end: isoOrNull(ecl.tret[3])
+    }
+  };
+}
+
+function describeLunarEclipse(swe, ecl, moonCalc) {
+  const flags = swe.SEFLG_SWIEPH;
+  const t = eclipseTypeOf(swe, ecl.retFlag, LUNAR_ECLIPSE_TYPES);
+  const how = swe.lun_eclipse_how(ecl.jdMax, flags, [0, 0, 0]);
+  if (!how) throw new Error("lun_eclipse_how fehlgeschlagen");
+
+  const umbral = how.attr[0];
+  const penumbral = how.attr[1];
+
+  return {
+    kind: "Mondfinsternis",
+    type: t ? t.type : null,
+    label: t ? t.label : "Mondfinsternis",
+    ...describePoint(ecl.jdMax, moonCalc),
+    magnitude: round(t && t.type === "penumbral" ? penumbral : umbral, 4),
+    umbralMagnitude: round(umbral, 4),
+    penumbralMagnitude: round(penumbral, 4),
+    saros: { series: Math.round(how.attr[9]), member: Math.round(how.attr[10]) },
+    contacts: {
+      penumbralBegin: isoOrNull(ecl.tret[6]),
+      partialBegin: isoOrNull(ecl.tret[2]),
+      totalBegin: isoOrNull(ecl.tret[4]),
+      totalEnd: isoOrNull(ecl.tret[5]),
+      partialEnd: isoOrNull(ecl.tret[3]),
+      penumbralEnd: isoOrNull(ecl.tret[7])
+    }
+  };
+}
+
+// ---------------- Lokale Sichtbarkeit ----------------
+// -> null (kein Ort), { lat, lon, alt } oder { error }
+function parseObserver(params) {
+  const hasLat = params.lat != null && String(params.lat).trim() !== "";
+  const hasLon = params.lon != null && String(params.lon).trim() !== "";
+  if (!hasLat && !hasLon) return null;
+
+  const lat = Number(params.lat);
+  const lon = Number(params.lon);
+  const alt = params.alt != null && String(params.alt).trim() !== "" ? Number(params.alt) : 0;
+
+  if (!hasLat || !hasLon || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return { error: "Parameter lat/lon fehlen/ungültig (beide in Grad angeben)." };
+  }
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return { error: "lat muss zwischen -90 und 90, lon zwischen -180 und 180 liegen." };
+  }
+  if (!Number.isFinite(alt) || alt < -500 || alt > 10000) {
+    return { error: "Parameter alt ungültig (Meter, -500 bis 10000)." };
+  }
+  return { lat, lon, alt };
+}
+
+function localSolar(swe, jdMax, observer) {
+  const geo = [observer.lon, observer.lat, observer.alt];
+  const r = swe.sol_eclipse_when_loc(jdMax - 1, swe.SEFLG_SWIEPH, geo, 0);
+  if (!r || Math.abs(r.tret[0] - jdMax) > LOCAL_MATCH_DAYS || !(r.retFlag & swe.SE_ECL_VISIBLE)) {
+    return { visible: false, info: "Am Ort nicht sichtbar" };
+  }
+
+  const t = eclipseTypeOf(swe, r.retFlag, SOLAR_ECLIPSE_TYPES);
+  return {
+    visible: true,
+    maxVisible: (r.retFlag & swe.SE_ECL_MAX_VISIBLE) !== 0,
+    type: t ? t.type : null,
+    label: t ? t.label : "Sonnenfinsternis",
+    datetime_utc: jdToIsoUtc(r.tret[0]),
+    magnitude: round(r.attr[8], 4),
+    obscuration: round(r.attr[2], 4),
+    altitudeDeg: round(r.attr[5], 1),
+    contacts: {
+      first: isoOrNull(r.tret[1]),
+      second: isoOrNull(r.tret[2]),
+      third: isoOrNull(r.tret[3]),
+      fourth: isoOrNull(r.tret[4])
+    }
+  };
+}
+
+// Lokales Maximum = größte Verfinsterung über dem Horizont (geht der Mond vorher unter,
+// liegt es beim Monduntergang)
+function localLunar(swe, jdMax, observer) {
+  const geo = [observer.lon, observer.lat, observer.alt];
+  const r = swe.lun_eclipse_when_loc(jdMax - 1, swe.SEFLG_SWIEPH, geo, 0);
+  if (!r || Math.abs(r.tret[0] - jdMax) > LOCAL_MATCH_DAYS || !(r.retFlag & swe.SE_ECL_VISIBLE)) {
+    return { visible: false, info: "Am Ort nicht sichtbar (Mond unter dem Horizont)" };
+  }
+
+  return {
+    visible: true,
+    maxVisible: (r.retFlag & swe.SE_ECL_MAX_VISIBLE) !== 0,
+    datetime_utc: jdToIsoUtc(r.tret[0]),
+    altitudeDeg: round(r.attr[5], 1),
+    moonrise: isoOrNull(r.tret[8]),
+    moonset: isoOrNull(r.tret[9])
+  };
+}
+
+// ---------------- iCalendar (RFC 5545) ----------------
+// Finsternisse -> VEVENTs
+function icsEventsFromEclipses(eclipses) {
+  return eclipses.map((e) => {
+    const lines = [
+      `${e.kind === "Sonnenfinsternis" ? "Sonne" : "Mond"}: ${e.posText}`,
+      `Größe: ${String(e.magnitude).replace(".", ",")}`,
+      `Saros ${e.saros.series} (Nr. ${e.saros.member})`
+    ];
+    if (e.local) {
+      lines.push(e.local.visible
+        ? `Am Ort sichtbar, lokales Maximum ${e.local.datetime_utc} (Höhe ${e.local.altitudeDeg}°)`
+        : e.local.info);
+    }
+
+    return {
+      uid: icsUid(e.kind === "Sonnenfinsternis" ? "sonnenfinsternis" : "mondfinsternis",
+        e.datetime_utc.slice(0, 10).replace(/-/g, "")),
+      start: e.datetime_utc,
+      summary: e.label,
+      description: lines.join("\n")
+    };
+  });
+}
+
+// ---------------- CSV (Excel, deutsch) ----------------
+const CSV_HEADER = [
+  "Art", "Typ", "Datum", "Maximum (UTC)", "Position", "Größe",
+  "Saros-Serie", "Saros-Nr.", "Größte Verfinsterung Breite", "Größte Verfinsterung Länge",
+  "Lokal sichtbar", "Lokales Maximum (UTC)", "Lokale Größe", "Höhe (°)"
+];
+
+function csvRowsFromEclipses(eclipses) {
+  return eclipses.map((e) => {
+    const local = e.local || null;
+    return [
+      e.kind,
+      e.label,
+      e.datum,
+      e.datetime_utc,
+      e.posText,
+      e.magnitude,
+      e.saros.series,
+      e.saros.member,
+      e.greatestEclipse ? e.greatestEclipse.lat : null,
+      e.greatestEclipse ? e.greatestEclipse.lon : null,
+      local ? local.visible : null,
+      local && local.visible ? local.datetime_utc : null,
+      local && local.visible ? (local.magnitude ?? null) : null,
+      local && local.visible ? local.altitudeDeg : null
+    ];
+  });
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(req, res);
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const swe = new SwissEph();
+
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
+
+    if (range.error) {
+      return res.status(400).json({
+        ok: false,
+        error: range.error
+      });
+    }
+
+    const { year, from, to } = range;
+
+    const observer = parseObserver(params);
+    if (observer && observer.error) {
+      return res.status(400).json({
+        ok: false,
+        error: observer.error
+      });
+    }
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (format !== "json" && format !== "ics" && format !== "csv") {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json, ics oder csv)."
+      });
+    }
+
+    await swe.initSwissEph();
+
+    if (typeof swe.sol_eclipse_when_glob !== "function" || typeof swe.lun_eclipse_when !== "function") {
+      return res.status(500).json({
+        ok: false,
+        error: "SwissEph init fehlgeschlagen (Finsternisfunktionen nicht verfügbar). Prüfe Vercel Runtime (Node, nicht Edge)."
+      });
+    }
+
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    } else {
+      return res.status(500).json({
+        ok: false,
+        error: "SwissEph hat keine set_ephe_path/swe_set_ephe_path Methode. Paketversion prüfen."
+      });
+    }
+
+    // Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd   = calendarToJd(to.y, to.mo, to.d) + 1;
+
+    const sunEphe = detectEphemerisRange(swe, jdRangeStart, jdRangeEnd, swe.SE_SUN, 0);
+    const moonEphe = detectEphemerisRange(swe, jdRangeStart, jdRangeEnd, swe.SE_MOON, 1);
+
+    const sunCalc = makeCalc(swe, swe.SE_SUN);
+    const moonCalc = makeCalc(swe, swe.SE_MOON);
+    const flags = swe.SEFLG_SWIEPH;
+
+    const solar = findEclipses((jd) => swe.sol_eclipse_when_glob(jd, flags, 0, 0), jdRangeStart, jdRangeEnd)
+      .map((ecl) => ({
+        ...describeSolarEclipse(swe, ecl, sunCalc),
+        ...(observer ? { local: localSolar(swe, ecl.jdMax, observer) } : {})
+      }));
+
+    const lunar = findEclipses((jd) => swe.lun_eclipse_when(jd, flags, 0, 0), jdRangeStart, jdRangeEnd)
+      .map((ecl) => ({
+        ...describeLunarEclipse(swe, ecl, moonCalc),
+        ...(observer ? { local: localLunar(swe, ecl.jdMax, observer) } : {})
+      }));
+
+    const eclipses = [...solar, ...lunar].sort((a, b) => a.jd - b.jd);
+
+    const label = year != null ? String(year) : `${formatDateISO(from)}_${formatDateISO(to)}`;
+
+    if (format === "ics") {
+      const calName = `Finsternisse ${year != null ? year : `${formatDateISO(from)} bis ${formatDateISO(to)}`}`;
+      return sendIcs(res, `finsternisse-${label}.ics`, buildIcs("Finsternisse", calName, icsEventsFromEclipses(eclipses)));
+    }
+
+    if (format === "csv") {
+      return sendCsv(res, `finsternisse-${label}.csv`, buildCsv(CSV_HEADER, csvRowsFromEclipses(eclipses)));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      year,
+      range: { from: formatDateISO(from), to: formatDateISO(to) },
+      observer,
+      solarCount: solar.length,
+      lunarCount: lunar.length,
+      ephemeris: {
+        ...buildEphemerisMeta([...sunEphe.types, ...moonEphe.types], from, to),
+        sun: sunEphe.label,
+        moon: moonEphe.label
+      },
+      notes: {
+        magnitude: "Sonnenfinsternis: bedeckter Anteil des Sonnendurchmessers (total/ringförmig/hybrid: Verhältnis Mond- zu Sonnendurchmesser); Mondfinsternis: Größe im Kernschatten (bei Halbschattenfinsternis im Halbschatten).",
+        position: "Tierkreisposition im Maximum: Sonne bei Sonnen-, Mond bei Mondfinsternissen.",
+        local: observer ? "Lokale Zeiten und Höhen für den angegebenen Ort (Höhe ohne Refraktion)." : null
+      },
+      eclipses
+    });
+
+  } catch (e) {
+    console.error("Finsternis-Fehler:", e);
+    return res.status(500).json({ ok: false, error: String(e) });
+  } finally {
+    try { if (typeof swe.close === "function") swe.close(); } catch (_) {}
+  }
+}
@@ -17,11 +17,14 @@
 // - lon=...             (Länge in Dezimalgrad, Ost +, West -)
 // - hsys=P oder W       (optional; Default P)
 //   P=Placidus, W=Whole Sign Houses
+// - format=json|csv     (optional; Default json)
+//   csv: eine Zeile pro Herrscher bzw. Mitherrscher (Rolle "Herrscher"/"MH")
 //
 // Beispiel:
 // /api/hausherrscher-rechner?date=2000-01-01&time=12:00&tz=+1&lat=47.37&lon=8.54&hsys=P
 
 import SwissEph from "swisseph-wasm";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
 
 // -----------------------------
 // CORS / Domain-Allowlist (Goldstandard)
@@ -250,6 +253,23 @@ function extractLonFromCalcResult(r) {
   return Number(v);
 }
 
+// -----------------------------
+// CSV (Excel, deutsch)
+// -----------------------------
+const CSV_HEADER = ["Haus", "Hausspitze (Grad)", "Zeichen der Hausspitze", "Rolle", "Zeichen", "Planet", "Planet im Haus"];
+
+function csvRowsFromHouses(rows, cusps) {
+  const out = [];
+  for (const r of rows) {
+    const cuspDeg = Math.round(cusps[r.house] * 100) / 100;
+    out.push([r.house, cuspDeg, r.sign, "Herrscher", r.sign, r.ruler.planet, r.ruler.house]);
+    for (const m of r.mh) {
+      out.push([r.house, cuspDeg, r.sign, "MH", m.sign, m.planet, m.house]);
+    }
+  }
+  return out;
+}
+
 // -----------------------------
 // Haupt-Handler
 // -----------------------------
@@ -268,7 +288,7 @@ export default async function handler(req, res) {
       return res.status(405).json({ ok: false, error: "Nur GET erlaubt." });
     }
 
-    const { date, time, tz, lat, lon, hsys } = req.query || {};
+    const { date, time, tz, lat, lon, hsys, format } = req.query || {};
 
     const d = parseDate(date);
     const t = parseTime(time);
@@ -284,6 +304,9 @@ export default async function handler(req, res) {
     if (lonV === null || lonV < -180 || lonV > 180) return res.status(400).json({ ok: false, error: "Parameter lon fehlt/ungültig (-180..180, Ost +, West -)." });
     if (!h) return res.status(400).json({ ok: false, error: "Parameter hsys ungültig (P oder W)." });
 
+    const fmt = String(format || "json").trim().toLowerCase();
+    if (fmt !== "json" && fmt !== "csv") return res.status(400).json({ ok: false, error: "Parameter format ungültig (json oder csv)." });
+
     const swe = new SwissEph();
     await swe.initSwissEph();
 
@@ -395,6 +418,11 @@ export default async function handler(req, res) {
 
     const systemName = h === "P" ? "Placidus" : "Whole Sign Houses";
 
+    if (fmt === "csv") {
+      const ymd = `${d.y}-${String(d.mo).padStart(2, "0")}-${String(d.d).padStart(2, "0")}`;
+      return sendCsv(res, `hausherrscher-${ymd}-${h}.csv`, buildCsv(CSV_HEADER, csvRowsFromHouses(rows, cusps)));
+    }
+
     return res.status(200).json({
       ok: true,
       system: systemName,
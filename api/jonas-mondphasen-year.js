@@ -1,8 +1,53 @@
 // api/jonas-mondphasen-year.js
 // Jonas-Mondphasen-Rechner
-// Berechnung der individuellen Mondphasen-Rückkehrpunkte (nur echter Return, keine Gegenphase)
+// Berechnung der individuellen Mondphasen-Rückkehrpunkte
+//
+// Modus: mode=return (Standard, nur echter Return) oder mode=both (zusätzlich die
+// Gegenphase = Geburtsphasenwinkel + 180°); jeder Treffer trägt kind "Return"/"Gegenphase".
+// Fenster: windowBefore/windowAfter (Stunden, je max. MAX_WINDOW_HOURS) liefern pro Treffer
+// Zeichen + m/w des Mondes an Fensterbeginn und -ende (der Mond kann darin das Zeichen wechseln).
+//
+// Zeitraum: year=YYYY (Kalenderjahr), year=YYYY&years=N (N Kalenderjahre ab year, max.
+// MAX_YEARS) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive, max. MAX_RANGE_DAYS).
+// Der ganze Zeitraum wird in einem 6h-Scan durchlaufen (nicht Jahr für Jahr).
+//
+// Filter: sex=m oder sex=w zeigt nur Treffer in m- bzw. w-Zeichen.
+// Monatsübersicht (months): pro Monat Anzahl der Treffer, davon m/w und die Zeichen
+// (Monat nach UTC wie der Zeitraum, zählt nur die angezeigten Treffer).
+//
+// Geburt:
+// - birthDate=YYYY-MM-DD&birthTime=HH:MM&birthTz=<Zone> (empfohlen), Zone als IANA-Name
+//   (z.B. Europe/Berlin, inkl. historischer Sommerzeit), Offset (+1, -5, +5.5, +02:00)
+//   oder LMT (Ortszeit nach birthLon, für Geburten vor Einführung der Zonenzeit)
+// - optional birthLat/birthLon (Geburtsort, Dezimalgrad, Nord/Ost +)
+// - alt: birth=<ISO-Zeitpunkt> (nur eindeutig mit Offset, z.B. 1980-05-01T14:30+02:00)
+// - Zeitumstellung: fehlt die Ortszeit (Sprung), wird um den Sprung verschoben; kommt sie
+//   zweimal vor (Rückstellung), zählt der frühere Zeitpunkt. Beides steht in birth.warning.
+//
+// Positionen: geozentrisch (Standard) oder topozentrisch mit Beobachterort lat/lon
+// (Dezimalgrad, Nord/Ost +) und optional alt (Meter). Die Mondparallaxe verschiebt den
+// Phasenwinkel um bis zu ~1°, den Return also um bis zu ~2 h. Der Geburtsphasenwinkel
+// wird dann am Geburtsort (birthLat/birthLon) gerechnet, ohne Geburtsort am Beobachterort.
+//
+// Zeitzone der Ausgabe: tz=<Zone> (wie birthTz; Default: birthTz). Jeder Return hat dann
+// zusätzlich datetime_local. Der Zeitraum (year/from/to) gilt in UTC.
+//
+// Ausgabe: format=json (Standard), format=ics (iCalendar, ein VEVENT pro Return)
+// oder format=csv (eine Zeile pro Return).
 
 import SwissEph from "swisseph-wasm";
+import { icsDateTime, icsUid, buildIcs, sendIcs } from "./_lib/ics.js";
+import { parseDateParam } from "./_lib/dates.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { utcMs, parseZoneOrThrow, formatLocalIso } from "./_lib/zones.js";
+import { toNumberOrThrow, parseBirthOrThrow, birthWarning } from "./_lib/birth.js";
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 5 * 366; // ca. 5 Jahre pro Anfrage (Serverless-Laufzeit)
+const MAX_YEARS = 5;
+const MAX_WINDOW_HOURS = 72;
 
 // -----------------------------
 // Tierkreis (tropisch) + m/w
@@ -41,10 +86,95 @@ function parseISOorThrow(s) {
   return d;
 }
 
-function toNumberOrThrow(s, name) {
-  const v = Number(s);
-  if (!Number.isFinite(v)) throw new Error(`Ungültiger Parameter ${name}: ${s}`);
-  return v;
+// from/to (inklusive) oder year -> { startDate, endDate } als UTC-Date oder { error }
+function parseRange(query) {
+  const { from, to, year } = query;
+
+  if (from || to) {
+    const f = parseDateParam(from);
+    const t = parseDateParam(to);
+    if (!f || !t) return { error: "Parameter from/to ungültig (beide als YYYY-MM-DD angeben)." };
+    if (f.y < MIN_YEAR || t.y > MAX_YEAR) {
+      return { error: `Zeitraum muss zwischen ${MIN_YEAR} und ${MAX_YEAR} liegen.` };
+    }
+
+    const startDate = new Date(utcMs(f.y, f.mo, f.d, 0, 0, 0));
+    const endDate = new Date(utcMs(t.y, t.mo, t.d, 23, 59, 59));
+    const spanDays = (endDate.getTime() - startDate.getTime()) / 86400000;
+
+    if (!(spanDays > 0)) return { error: "Parameter from muss vor oder gleich to liegen." };
+    if (spanDays > MAX_RANGE_DAYS) return { error: `Zeitraum zu lang (max. ${MAX_RANGE_DAYS} Tage).` };
+    return { startDate, endDate };
+  }
+
+  const y = Number(year);
+  if (!Number.isInteger(y) || y < MIN_YEAR || y > MAX_YEAR) {
+    return { error: `Bitte ein Jahr zwischen ${MIN_YEAR} und ${MAX_YEAR} oder from/to (YYYY-MM-DD) angeben.` };
+  }
+  const n = query.years != null && query.years !== "" ? Number(query.years) : 1;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_YEARS || y + n - 1 > MAX_YEAR) {
+    return { error: `Parameter years ungültig (ganze Zahl 1 bis ${MAX_YEARS}, bis höchstens ${MAX_YEAR}).` };
+  }
+  return {
+    startDate: new Date(utcMs(y, 1, 1, 0, 0, 0)),
+    endDate: new Date(utcMs(y + n - 1, 12, 31, 23, 59, 59))
+  };
+}
+
+// Alle Monate (YYYY-MM) von startDate bis endDate (UTC)
+function monthKeys(startDate, endDate) {
+  const keys = [];
+  let y = startDate.getUTCFullYear();
+  let m = startDate.getUTCMonth();
+  while (y < endDate.getUTCFullYear() || (y === endDate.getUTCFullYear() && m <= endDate.getUTCMonth())) {
+    keys.push(`${y}-${String(m + 1).padStart(2, "0")}`);
+    if (++m > 11) {
+      m = 0;
+      y++;
+    }
+  }
+  return keys;
+}
+
+// Monatsübersicht: Anzahl, davon m/w, Zeichen in zeitlicher Reihenfolge.
+// Monat nach UTC, damit jeder Treffer in einen Monat des (UTC-)Zeitraums fällt.
+function summarizeByMonth(returns, startDate, endDate) {
+  const byMonth = new Map(monthKeys(startDate, endDate).map((k) => [k, []]));
+  for (const r of returns) byMonth.get(r.datetime_utc.slice(0, 7)).push(r);
+
+  return [...byMonth.entries()]
+    .map(([month, list]) => ({
+      month,
+      count: list.length,
+      m: list.filter((r) => r.sex_sign.endsWith("m")).length,
+      w: list.filter((r) => r.sex_sign.endsWith("w")).length,
+      gegenphase: list.filter((r) => r.kind === "Gegenphase").length,
+      signs: list.map((r) => r.sex_sign)
+    }));
+}
+
+// lat/lon/alt -> Beobachterort { lat, lon, alt } oder null (geozentrisch)
+function parseObserverOrThrow(query) {
+  const { lat, lon, alt } = query;
+  const hasLat = lat != null && lat !== "";
+  const hasLon = lon != null && lon !== "";
+  if (!hasLat && !hasLon) return null;
+  if (!hasLat || !hasLon) throw new Error("Parameter lat und lon nur gemeinsam angeben.");
+
+  const la = toNumberOrThrow(lat, "lat");
+  const lo = toNumberOrThrow(lon, "lon");
+  const al = alt != null && alt !== "" ? toNumberOrThrow(alt, "alt") : 0;
+  if (Math.abs(la) > 90) throw new Error(`Ungültiger Parameter lat: ${lat}`);
+  if (Math.abs(lo) > 180) throw new Error(`Ungültiger Parameter lon: ${lon}`);
+  if (al < -500 || al > 10000) throw new Error(`Ungültiger Parameter alt: ${alt} (Meter, -500 bis 10000)`);
+  return { lat: la, lon: lo, alt: al };
+}
+
+// Flags für calc_ut; mit Ort wird swe_set_topo gesetzt (gilt global bis zum nächsten Aufruf)
+function positionFlags(swe, site) {
+  if (!site) return swe.SEFLG_SWIEPH;
+  swe.set_topo(site.lon, site.lat, site.alt);
+  return swe.SEFLG_SWIEPH | swe.SEFLG_TOPOCTR;
 }
 
 function jdFromUTCDate(swe, d) {
@@ -55,18 +185,17 @@ function jdFromUTCDate(swe, d) {
   return swe.julday(y, m, day, h, swe.SE_GREG_CAL);
 }
 
-function phaseAngleDeg(swe, tjd_ut) {
-  const flag = swe.SEFLG_SWIEPH;
+function phaseAngleDeg(swe, tjd_ut, flag = swe.SEFLG_SWIEPH) {
   const sun = swe.calc_ut(tjd_ut, swe.SE_SUN, flag);
   const moon = swe.calc_ut(tjd_ut, swe.SE_MOON, flag);
   return norm360(moon[0] - sun[0]);
 }
 
-function refineRootBisection(swe, t0ms, t1ms, targetAngleDeg, maxIter = 70) {
+function refineRootBisection(swe, t0ms, t1ms, targetAngleDeg, flag, maxIter = 70) {
   const fAt = (ms) => {
     const d = new Date(ms);
     const jd = jdFromUTCDate(swe, d);
-    const ang = phaseAngleDeg(swe, jd);
+    const ang = phaseAngleDeg(swe, jd, flag);
     return signedDiffDeg(ang, targetAngleDeg);
   };
 
@@ -96,6 +225,49 @@ function refineRootBisection(swe, t0ms, t1ms, targetAngleDeg, maxIter = 70) {
   return new Date(Math.floor((a + b) / 2));
 }
 
+// Ein 6h-Scan für alle Zielwinkel (Return, ggf. Gegenphase): Phasenwinkel pro Schritt nur
+// einmal rechnen. targets = [{ kind, angle }] -> [{ date, target }] zeitlich sortiert
+function scanPhaseReturns(swe, startDate, endDate, targets, flag) {
+  const stepMs = 6 * 60 * 60 * 1000;
+  const tol = 0.2;
+  const angleAt = (ms) => phaseAngleDeg(swe, jdFromUTCDate(swe, new Date(ms)), flag);
+
+  const hits = [];
+  let tPrev = startDate.getTime();
+  let angPrev = angleAt(tPrev);
+
+  // letzter Schritt endet genau am Zeitraumende (sonst fehlen Treffer der letzten < 6 h)
+  const endMs = endDate.getTime();
+  for (let t = Math.min(tPrev + stepMs, endMs); tPrev < endMs; t = Math.min(t + stepMs, endMs)) {
+    const ang = angleAt(t);
+
+    for (const target of targets) {
+      const fPrev = signedDiffDeg(angPrev, target.angle);
+      const fCur = signedDiffDeg(ang, target.angle);
+
+      if (fPrev === 0 || fCur === 0 || fPrev * fCur < 0) {
+        const root = refineRootBisection(swe, tPrev, t, target.angle, flag);
+        // Vorzeichenwechsel am ±180°-Sprung ist keine Nullstelle
+        if (root && Math.abs(signedDiffDeg(angleAt(root.getTime()), target.angle)) < tol) {
+          hits.push({ date: root, target });
+        }
+      }
+    }
+
+    tPrev = t;
+    angPrev = ang;
+  }
+
+  return hits.sort((a, b) => a.date - b.date);
+}
+
+// Zeichensymbol + m/w des Mondes, z.B. "♑w"
+function moonSexSignAt(swe, ms, flag = swe.SEFLG_SWIEPH) {
+  const moonLon = swe.calc_ut(jdFromUTCDate(swe, new Date(ms)), swe.SE_MOON, flag)[0];
+  const zodiac = ZODIAC[Math.floor(norm360(moonLon) / 30)];
+  return `${zodiac.symbol}${zodiac.sex}`;
+}
+
 // -----------------------------
 // CORS
 // -----------------------------
@@ -153,70 +325,161 @@ export default async function handler(req, res) {
     const swe = new SwissEph();
     await swe.initSwissEph();
 
-    const { birth, year } = req.query;
-    if (!birth || !year) {
-      return res.status(400).json({ ok: false, error: "birth und year erforderlich." });
+    const { birth, birthDate: birthDateParam, year, from, to } = req.query;
+    if (!(birth || birthDateParam) || !(year || from || to)) {
+      return res.status(400).json({
+        ok: false,
+        error: "birthDate/birthTime/birthTz (oder birth) und year (oder from/to) erforderlich."
+      });
+    }
+
+    const format = String(req.query.format || "json").trim().toLowerCase();
+    if (!["json", "ics", "csv"].includes(format)) {
+      return res.status(400).json({ ok: false, error: "Parameter format ungültig (json, ics oder csv)." });
+    }
+
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ ok: false, error: range.error });
+    const { startDate, endDate } = range;
+
+    // Geburt, Zonen, Fenster und Beobachterort: Parser werfen bei ungültiger Eingabe -> 400
+    let birthInfo, outZone, winBeforeH, winAfterH, observer;
+    const { windowBefore, windowAfter } = req.query;
+    const hasWindow = (windowBefore != null && windowBefore !== "") || (windowAfter != null && windowAfter !== "");
+    try {
+      birthInfo = parseBirthOrThrow(req.query, (q) => parseISOorThrow(q.birth).getTime());
+
+      // Ausgabezone: tz, sonst Geburtszone (ohne beides nur UTC)
+      outZone = req.query.tz
+        ? parseZoneOrThrow(req.query.tz, "tz", birthInfo.place ? birthInfo.place.lon : null)
+        : birthInfo.zone;
+
+      winBeforeH = windowBefore != null && windowBefore !== "" ? toNumberOrThrow(windowBefore, "windowBefore") : 0;
+      winAfterH = windowAfter != null && windowAfter !== "" ? toNumberOrThrow(windowAfter, "windowAfter") : 0;
+      observer = parseObserverOrThrow(req.query);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: String(e?.message || e) });
+    }
+    const birthDate = new Date(birthInfo.ms);
+
+    const mode = String(req.query.mode || "return").trim().toLowerCase();
+    if (mode !== "return" && mode !== "both") {
+      return res.status(400).json({ ok: false, error: "Parameter mode ungültig (return oder both)." });
     }
 
-    const birthDate = parseISOorThrow(birth);
-    const y = toNumberOrThrow(year, "year");
+    if (winBeforeH < 0 || winAfterH < 0 || winBeforeH > MAX_WINDOW_HOURS || winAfterH > MAX_WINDOW_HOURS) {
+      return res.status(400).json({
+        ok: false,
+        error: `Parameter windowBefore/windowAfter ungültig (Stunden, 0 bis ${MAX_WINDOW_HOURS}).`
+      });
+    }
 
-    const startDate = new Date(Date.UTC(y, 0, 1, 0, 0, 0));
-    const endDate = new Date(Date.UTC(y, 11, 31, 23, 59, 59));
+    const sexFilter = req.query.sex ? String(req.query.sex).trim().toLowerCase() : null;
+    if (sexFilter && sexFilter !== "m" && sexFilter !== "w") {
+      return res.status(400).json({ ok: false, error: "Parameter sex ungültig (m oder w)." });
+    }
 
-    const stepMs = 6 * 60 * 60 * 1000;
-    const tol = 0.2;
+    // Topozentrisch nur mit Beobachterort; Geburtsphase dann am Geburtsort (sonst Beobachterort)
+    const positionMode = observer ? "topozentrisch" : "geozentrisch";
+    const birthSite = observer
+      ? (birthInfo.place ? { ...birthInfo.place, alt: 0 } : observer)
+      : null;
 
     const jdBirth = jdFromUTCDate(swe, birthDate);
-    const targetAngle = phaseAngleDeg(swe, jdBirth);
-
-    const fAtDate = (d) => {
-      const jd = jdFromUTCDate(swe, d);
-      const ang = phaseAngleDeg(swe, jd);
-      return { ang, f: signedDiffDeg(ang, targetAngle) };
-    };
-
-    const returns = [];
-    let tPrev = new Date(startDate.getTime());
-    let prev = fAtDate(tPrev);
-
-    for (
-      let t = new Date(startDate.getTime() + stepMs);
-      t <= endDate;
-      t = new Date(t.getTime() + stepMs)
-    ) {
-      const cur = fAtDate(t);
-
-      if (prev.f === 0 || cur.f === 0 || prev.f * cur.f < 0) {
-        const root = refineRootBisection(swe, tPrev.getTime(), t.getTime(), targetAngle);
-
-        if (root) {
-          const r = fAtDate(root);
-          if (Math.abs(r.f) < tol) {
-
-            const jdRoot = jdFromUTCDate(swe, root);
-            const moonData = swe.calc_ut(jdRoot, swe.SE_MOON, swe.SEFLG_SWIEPH);
-            const moonLon = moonData[0];
-
-            const zodiacIndex = Math.floor(moonLon / 30);
-            const zodiac = ZODIAC[zodiacIndex];
-            const sexSign = `${zodiac.symbol}${zodiac.sex}`;
-
-            returns.push({
-              datetime_utc: root.toISOString(),
-              sex_sign: sexSign
-            });
-          }
-        }
+    const targetAngle = phaseAngleDeg(swe, jdBirth, positionFlags(swe, birthSite));
+    const flag = positionFlags(swe, observer);
+    const oppositeAngle = norm360(targetAngle + 180);
+
+    const targets = [{ kind: "Return", angle: targetAngle }];
+    if (mode === "both") targets.push({ kind: "Gegenphase", angle: oppositeAngle });
+
+    const stamp = (ms) => ({
+      datetime_utc: new Date(ms).toISOString(),
+      ...(outZone ? { datetime_local: formatLocalIso(outZone, ms) } : {})
+    });
+
+    const allHits = scanPhaseReturns(swe, startDate, endDate, targets, flag).map(({ date, target }) => {
+      const ms = date.getTime();
+      const entry = { kind: target.kind, ...stamp(ms), sex_sign: moonSexSignAt(swe, ms, flag) };
+
+      if (hasWindow) {
+        const startMs = ms - winBeforeH * 3600000;
+        const endMs = ms + winAfterH * 3600000;
+        const start = { ...stamp(startMs), sex_sign: moonSexSignAt(swe, startMs, flag) };
+        const end = { ...stamp(endMs), sex_sign: moonSexSignAt(swe, endMs, flag) };
+        entry.window = { start, end, signChange: start.sex_sign !== end.sex_sign };
       }
+      return entry;
+    });
 
-      tPrev = t;
-      prev = cur;
+    const returns = sexFilter ? allHits.filter((r) => r.sex_sign.endsWith(sexFilter)) : allHits;
+
+    const lastYear = endDate.getUTCFullYear();
+    const rangeLabel = year && !(from || to)
+      ? (lastYear > Number(year) ? `${year}-${lastYear}` : String(year))
+      : `${startDate.toISOString().slice(0, 10)}_${endDate.toISOString().slice(0, 10)}`;
+
+    if (format === "csv") {
+      // sex_sign = Symbol + m/w (z.B. "♑w")
+      const rows = returns.map((r) => [
+        r.kind, r.datetime_utc, r.datetime_local ?? null, r.sex_sign.slice(0, -1), r.sex_sign.slice(-1),
+        r.window ? r.window.start.datetime_utc : null, r.window ? r.window.start.sex_sign : null,
+        r.window ? r.window.end.datetime_utc : null, r.window ? r.window.end.sex_sign : null,
+        r.window ? r.window.signChange : null
+      ]);
+      const header = [
+        "Art", "Zeit (UTC)", `Zeit (${outZone ? outZone.name : "Ortszeit"})`, "Zeichen", "m/w",
+        "Fenster ab (UTC)", "Zeichen + m/w ab", "Fenster bis (UTC)", "Zeichen + m/w bis", "Zeichenwechsel"
+      ];
+      return sendCsv(res, `jonas-${rangeLabel}.csv`, buildCsv(header, rows));
+    }
+
+    if (format === "ics") {
+      const birthKey = icsDateTime(birthDate.toISOString());
+      const events = returns.map((r) => {
+        const isReturn = r.kind === "Return";
+        const lines = [
+          isReturn
+            ? `Mondphasen-Rückkehr (Phasenwinkel wie bei Geburt: ${targetAngle.toFixed(2)}°)`
+            : `Gegenphase (Phasenwinkel ${oppositeAngle.toFixed(2)}°)`
+        ];
+        lines.push(observer
+          ? `Topozentrisch (${observer.lat}°, ${observer.lon}°, ${observer.alt} m)`
+          : "Geozentrisch");
+        if (r.datetime_local) lines.push(`Ortszeit (${outZone.name}): ${r.datetime_local}`);
+        if (r.window) {
+          lines.push(`Fenster: ${r.window.start.datetime_utc} (${r.window.start.sex_sign}) bis ${r.window.end.datetime_utc} (${r.window.end.sex_sign})`);
+        }
+        return {
+          uid: icsUid(isReturn ? "jonas" : "jonas-gegenphase", birthKey, r.datetime_utc.slice(0, 10).replace(/-/g, "")),
+          start: r.datetime_utc,
+          summary: `Jonas-${r.kind} ${r.sex_sign}`,
+          description: lines.join("\n")
+        };
+      });
+
+      return sendIcs(res, `jonas-${rangeLabel}.ics`, buildIcs("jonas-mondphasen-year", `Jonas-Returns ${rangeLabel}`, events));
     }
 
     return res.status(200).json({
       ok: true,
+      birth: {
+        datetime_utc: birthDate.toISOString(),
+        datetime_local: birthInfo.zone ? formatLocalIso(birthInfo.zone, birthDate.getTime()) : null,
+        timeZone: birthInfo.zone ? birthInfo.zone.name : null,
+        place: birthInfo.place,
+        phaseAngle: Number(targetAngle.toFixed(4)),
+        oppositeAngle: mode === "both" ? Number(oppositeAngle.toFixed(4)) : null,
+        warning: birthWarning(birthInfo)
+      },
+      timeZone: outZone ? outZone.name : "UTC",
+      positions: { mode: positionMode, observer, birthSite },
+      mode,
+      window: hasWindow ? { beforeHours: winBeforeH, afterHours: winAfterH } : null,
+      range: { from: startDate.toISOString().slice(0, 10), to: endDate.toISOString().slice(0, 10) },
+      sex: sexFilter,
       count: returns.length,
+      months: summarizeByMonth(returns, startDate, endDate),
       returns
     });
 
@@ -0,0 +1,306 @@
+// api/moon-declination-year.js
+// Mond-Deklinationsextreme pro Jahr (UTC) + Mondknoten und 18,6-jähriger Knotenzyklus
+//
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS).
+//
+// - Deklinationsextreme: größte nördliche/südliche Deklination jedes Monats (Wendepunkt der
+//   Deklinationsgeschwindigkeit, 6h-Scan + Bisektion minutengenau), äquatorial, geozentrisch.
+// - Mondknoten: mittlerer und wahrer aufsteigender Knoten am Monatsersten.
+// - Knotenzyklus (Bezug: Mitte des Zeitraums): aufsteigender Knoten bei 0° Widder = großer
+//   Mondstillstand (Deklination bis ca. ±28,6°), bei 0° Waage = kleiner (bis ca. ±18,3°);
+//   dazu letzter/nächster großer und kleiner Stillstand (mittlerer Knoten, minutengenau).
+//
+// Ausgabe: format=json (Standard) oder format=csv (eine Zeile pro Deklinationsextrem).
+//
+// Ephemeride: eine Monddatei (semo_18) liegt nicht in api/ephe, der Mond wird daher mit
+// Moshier gerechnet. Benutzte Ephemeride + Genauigkeit stehen in der Antwort.
+
+import SwissEph from "swisseph-wasm";
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { norm360, formatZodiacPos } from "./_lib/zodiac.js";
+
+export const config = { runtime: "nodejs" };
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 3 * 366; // ca. 3 Jahre pro Anfrage (Serverless-Laufzeit)
+
+// Mittlerer Knoten: ein Umlauf (rückläufig) in 18,61 Jahren
+const NODE_CYCLE_YEARS = 18.6134;
+const NODE_RATE_DEG_PER_DAY = 360 / (NODE_CYCLE_YEARS * 365.25);
+const MOON_INCLINATION_DEG = 5.145;
+
+// Abstand (Jahre) zum exakten Stillstand, in dem das Jahr als Stillstandsphase gilt
+const STANDSTILL_WINDOW_YEARS = 1.5;
+
+// ---------- Rundung ----------
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+// ---------- Angle helpers ----------
+// signed diff a - b in degrees, wrapped to [-180..+180]
+function signedDiffDeg(a, b) {
+  let d = norm360(a - b);
+  if (d > 180) d -= 360;
+  return d;
+}
+
+// +28°33′ / −18°17′
+function formatDeclination(dec) {
+  const a = Math.abs(dec);
+  const deg = Math.floor(a);
+  const min = Math.floor((a - deg) * 60 + 1e-9);
+  return `${dec < 0 ? "−" : "+"}${deg}°${String(min).padStart(2, "0")}′`;
+}
+
+function getLonDeg(swe, jd, bodyId) {
+  const pos = swe.calc_ut(jd, bodyId, swe.SEFLG_SWIEPH);
+  return norm360(pos[0]);
+}
+
+// [Deklination, Deklinationsgeschwindigkeit °/Tag]
+function getMoonDecl(swe, jd) {
+  const pos = swe.calc_ut(jd, swe.SE_MOON, swe.SEFLG_SWIEPH | swe.SEFLG_SPEED | swe.SEFLG_EQUATORIAL);
+  return { dec: pos[1], decSpeed: pos[4] };
+}
+
+// ---------- Deklinationsextreme ----------
+// Wendepunkt der Deklination in [a, b] (Vorzeichenwechsel der Geschwindigkeit), bis 1 Minute
+function refineDeclExtremum(swe, a, b) {
+  let fa = getMoonDecl(swe, a).decSpeed;
+  for (let i = 0; i < 60 && (b - a) > 1 / 1440; i++) {
+    const m = (a + b) / 2;
+    const fm = getMoonDecl(swe, m).decSpeed;
+    if ((fa < 0) === (fm < 0)) {
+      a = m;
+      fa = fm;
+    } else {
+      b = m;
+    }
+  }
+  return (a + b) / 2;
+}
+
+function findDeclinationExtremes(swe, jdStart, jdEnd) {
+  const step = 0.25; // 6h
+  const extremes = [];
+
+  let prev = getMoonDecl(swe, jdStart).decSpeed;
+
+  for (let jd = jdStart + step; jd <= jdEnd; jd += step) {
+    const cur = getMoonDecl(swe, jd).decSpeed;
+
+    if ((prev > 0 && cur <= 0) || (prev < 0 && cur >= 0)) {
+      const jdExt = refineDeclExtremum(swe, jd - step, jd);
+      const { dec } = getMoonDecl(swe, jdExt);
+      extremes.push({ jd: jdExt, dec, kind: prev > 0 ? "Nord" : "Süd" });
+    }
+
+    prev = cur;
+  }
+
+  return extremes;
+}
+
+// ---------- Mondknoten / Stillstandszyklus ----------
+// Zeitpunkt, an dem der mittlere Knoten lonTarget erreicht; dir = +1 (nächster) / -1 (letzter).
+// Der Knoten läuft fast gleichförmig rückwärts: Schätzung + Newton-Schritte genügen.
+function findMeanNodeCrossing(swe, jdFrom, lonTarget, dir) {
+  const lon = getLonDeg(swe, jdFrom, swe.SE_MEAN_NODE);
+  const ahead = dir > 0 ? norm360(lon - lonTarget) : -norm360(lonTarget - lon);
+  let jd = jdFrom + ahead / NODE_RATE_DEG_PER_DAY;
+
+  for (let i = 0; i < 10; i++) {
+    const diff = signedDiffDeg(getLonDeg(swe, jd, swe.SE_MEAN_NODE), lonTarget);
+    jd += diff / NODE_RATE_DEG_PER_DAY;
+    if (Math.abs(diff) < 1e-6) break;
+  }
+  return jd;
+}
+
+function describeNode(lon) {
+  const pos = formatZodiacPos(lon);
+  return { lon: round(lon, 4), sign: pos.sign, deg: pos.deg, min: pos.min, posText: pos.text };
+}
+
+function describeMoment(jd) {
+  return {
+    datum: formatDateDE(jdToCalendar(jd)),
+    datetime_utc: jdToIsoUtc(jd),
+    jd: round(jd, 6)
+  };
+}
+
+// Stand im Zyklus: Phase 0° = großer, 180° = kleiner Stillstand (mittlerer Knoten)
+function describeStandstill(swe, jdRef) {
+  const nodeLon = getLonDeg(swe, jdRef, swe.SE_MEAN_NODE);
+  const obliquity = swe.calc_ut(jdRef, swe.SE_ECL_NUT, 0)[0];
+
+  const phaseDeg = norm360(-nodeLon);
+  const yearsPerDeg = NODE_CYCLE_YEARS / 360;
+  const yearsFromMajor = Math.min(phaseDeg, 360 - phaseDeg) * yearsPerDeg;
+  const yearsFromMinor = Math.abs(phaseDeg - 180) * yearsPerDeg;
+
+  let stage;
+  if (yearsFromMajor <= STANDSTILL_WINDOW_YEARS) {
+    stage = "Großer Mondstillstand (große Mondwende): maximale Deklinationsspanne";
+  } else if (yearsFromMinor <= STANDSTILL_WINDOW_YEARS) {
+    stage = "Kleiner Mondstillstand (kleine Mondwende): minimale Deklinationsspanne";
+  } else if (phaseDeg < 180) {
+    stage = "Zwischen großem und kleinem Mondstillstand: Deklinationsspanne nimmt ab";
+  } else {
+    stage = "Zwischen kleinem und großem Mondstillstand: Deklinationsspanne nimmt zu";
+  }
+
+  return {
+    reference: describeMoment(jdRef),
+    meanNode: describeNode(nodeLon),
+    cycleYears: NODE_CYCLE_YEARS,
+    cyclePhaseDeg: round(phaseDeg, 2),
+    cycleFraction: round(phaseDeg / 360, 4),
+    stage,
+    // Hüllkurve der Monatsextreme: Schiefe der Ekliptik ± Bahnneigung (je nach Knotenlage)
+    expectedMaxDeclinationDeg: round(obliquity + MOON_INCLINATION_DEG * Math.cos(nodeLon * Math.PI / 180), 2),
+    lastMajor: describeMoment(findMeanNodeCrossing(swe, jdRef, 0, -1)),
+    nextMajor: describeMoment(findMeanNodeCrossing(swe, jdRef, 0, +1)),
+    lastMinor: describeMoment(findMeanNodeCrossing(swe, jdRef, 180, -1)),
+    nextMinor: describeMoment(findMeanNodeCrossing(swe, jdRef, 180, +1))
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const swe = new SwissEph();
+
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
+
+    if (range.error) {
+      return res.status(400).json({
+        ok: false,
+        error: range.error
+      });
+    }
+
+    const { year, from, to } = range;
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json oder csv)."
+      });
+    }
+
+    await swe.initSwissEph();
+
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe (wie perigaeum-year)
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    }
+
+    // Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd = calendarToJd(to.y, to.mo, to.d) + 1;
+
+    const epheMoon = detectEphemerisRange(swe, jdRangeStart, jdRangeEnd, swe.SE_MOON, 1);
+
+    // --- 1) Deklinationsextreme ---
+    const extremes = findDeclinationExtremes(swe, jdRangeStart, jdRangeEnd).map(x => {
+      const pos = formatZodiacPos(getLonDeg(swe, x.jd, swe.SE_MOON));
+      return {
+        kind: x.kind,
+        ...describeMoment(x.jd),
+        decDeg: round(x.dec, 4),
+        decText: formatDeclination(x.dec),
+        moonPos: pos.text
+      };
+    });
+
+    const north = extremes.filter(x => x.kind === "Nord");
+    const south = extremes.filter(x => x.kind === "Süd");
+    const maxNorth = north.reduce((best, x) => (!best || x.decDeg > best.decDeg ? x : best), null);
+    const maxSouth = south.reduce((best, x) => (!best || x.decDeg < best.decDeg ? x : best), null);
+
+    // --- 2) Mondknoten am Monatsersten ---
+    const nodes = [];
+    let y = from.y;
+    let mo = from.mo;
+    while (y < to.y || (y === to.y && mo <= to.mo)) {
+      const jd = calendarToJd(y, mo, 1);
+      if (++mo > 12) {
+        mo = 1;
+        y++;
+      }
+      if (jd < jdRangeStart) continue;
+      nodes.push({
+        ...describeMoment(jd),
+        meanNode: describeNode(getLonDeg(swe, jd, swe.SE_MEAN_NODE)),
+        trueNode: describeNode(getLonDeg(swe, jd, swe.SE_TRUE_NODE))
+      });
+    }
+
+    // --- 3) Stand im 18,6-Jahres-Zyklus (Mitte des Zeitraums) ---
+    const standstill = describeStandstill(swe, (jdRangeStart + jdRangeEnd) / 2);
+
+    if (format === "csv") {
+      const rangeLabel = year != null ? String(year) : `${formatDateISO(from)}_${formatDateISO(to)}`;
+      const header = [
+        "Extrem", "Datum", "Zeit (UTC)", "Deklination (°)", "Deklination", "Mondposition", "Größtes Extrem"
+      ];
+      const rows = extremes.map(x => [
+        x.kind, x.datum, x.datetime_utc, x.decDeg, x.decText, x.moonPos, x === maxNorth || x === maxSouth
+      ]);
+      return sendCsv(res, `mond-deklination-${rangeLabel}.csv`, buildCsv(header, rows));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      year,
+      range: { from: formatDateISO(from), to: formatDateISO(to) },
+      meta: {
+        timeBasis: "UTC",
+        declination: "geozentrisch, wahres Äquinoktium des Datums",
+        ephemeris: {
+          ...buildEphemerisMeta(epheMoon.types, from, to),
+          moon: epheMoon.label
+        }
+      },
+      counts: {
+        north: north.length,
+        south: south.length
+      },
+      maxNorth,
+      maxSouth,
+      standstill,
+      extremes,
+      nodes
+    });
+  } catch (e) {
+    console.error("Mond-Deklination-Fehler:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e)
+    });
+  } finally {
+    try { swe.close(); } catch (_) {}
+  }
+}
@@ -1,61 +1,92 @@
 // api/moon-perigee-apogee-year.js
 // Mond-Perigäen und -Apogäen pro Jahr (Datum, UTC) + Mondphase-Text
-// + Super-/Mini-Vollmond & Super-/Mini-Neumond (10%-Distanzspanne-Regel; UTC-Datum)
+// + Super-/Mini-Vollmond & Super-/Mini-Neumond (UTC-Datum)
+//
+// Super-/Mini-Definition wählbar über rule=... (Default span10):
+// - span10:     innerster 10%-Bereich der Distanzspanne Perigäum–Apogäum des jeweiligen Zyklus
+// - nolle90:    Nolle (innerhalb 90 % der größten Annäherung), Spanne = nächstes Perigäum bis
+//               fernstes Apogäum des Kalenderjahres
+// - fixed:      feste Grenze superKm (Default 360000) bzw. miniKm (Default 405000)
+// - perigee24h: höchstens 24 h vom Perigäum (Super) bzw. Apogäum (Mini) entfernt
+// Die Hinweise an Perigäen/Apogäen folgen der gewählten Regel; "syzygies" listet für jeden
+// Neu-/Vollmond im Zeitraum, welche Definitionen ihn als Super/Mini einstufen.
+//
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS). Gerechnet wird mit Puffer, damit Ereignisse an den Rändern
+// ihre Nachbar-Perigäen/-Apogäen für die 10%-Regel haben.
+//
+// Finsternisse: fällt ein Neu-/Vollmond auf eine Sonnen-/Mondfinsternis, steht das im
+// Super-/Mini-Hinweis ("zugleich ...") und unter syzygies[].eclipse (Details: finsternisse-year).
+//
+// Perigäische Springfluten (perigeanSpringTides): Neu-/Vollmond höchstens tideHours
+// (Default 48) vom nächsten Perigäum entfernt, mit Abstand in Stunden und relativem
+// Gezeitenkraft-Index (1 = Springflut bei mittleren Distanzen von Mond und Sonne).
+//
+// Jedes Perigäum/Apogäum: exakte Zeit (ISO/UTC, minutengenau), JD, Distanz (AU/km) und
+// scheinbarer Monddurchmesser. proxigee = nächstes Perigäum, farthestApogee = fernstes
+// Apogäum des Kalenderjahres (bei from/to: innerhalb des Zeitraums); Übersicht in "extremes".
+//
+// Ephemeride: Sonne aus api/ephe (sepl_18); eine Monddatei (semo_18) liegt dort nicht,
+// der Mond wird daher mit Moshier gerechnet. Benutzte Ephemeride + Genauigkeit
+// stehen in der Antwort. Datum vor 15.10.1582: julianischer Kalender.
+//
+// Ausgabe: format=json (Standard) oder format=ics (iCalendar: Perigäen, Apogäen und
+// Super-/Mini-Monde als VEVENT, stabile UID pro Ereignisart + Tag) oder format=csv
+// (eine Zeile pro Perigäum/Apogäum, zeitlich sortiert).
 
 import SwissEph from "swisseph-wasm";
-
-// ---------- Datum helpers (UTC) ----------
-function jdToCalendar(jd) {
-  const Z = Math.floor(jd + 0.5);
-  const F = jd + 0.5 - Z;
-
-  let A = Z;
-  if (Z >= 2299161) {
-    const alpha = Math.floor((Z - 1867216.25) / 36524.25);
-    A = Z + 1 + alpha - Math.floor(alpha / 4);
-  }
-
-  const B = A + 1524;
-  const C = Math.floor((B - 122.1) / 365.25);
-  const D = Math.floor(365.25 * C);
-  const E = Math.floor((B - D) / 30.6001);
-
-  const dayFloat = B - D - Math.floor(30.6001 * E) + F;
-  const day = Math.floor(dayFloat + 1e-6);
-
-  const month = E < 14 ? E - 1 : E - 13;
-  const year = month > 2 ? C - 4716 : C - 4715;
-
-  return { year, month, day };
-}
-
-function formatDateDE({ year, month, day }) {
-  const dd = String(day).padStart(2, "0");
-  const mm = String(month).padStart(2, "0");
-  return `${dd}.${mm}.${year}`;
-}
-
-// ---------- Angle helpers ----------
-function norm360(x) {
-  let v = x % 360;
-  if (v < 0) v += 360;
-  return v;
-}
-
-function getLonDeg(swe, jd, bodyId) {
-  const pos = swe.calc_ut(jd, bodyId, swe.SEFLG_SWIEPH);
-  return pos[0];
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { icsUid, buildIcs, sendIcs, icsDay } from "./_lib/ics.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { SOLAR_ECLIPSE_TYPES, LUNAR_ECLIPSE_TYPES, eclipseTypeOf } from "./_lib/eclipses.js";
+import { getPhaseDeltaDeg, findPhaseCrossings } from "./_lib/lunation.js";
+
+export const config = { runtime: "nodejs" };
+
+const AU_KM = 149597870.7;
+const MOON_RADIUS_KM = 1737.4;
+
+// Super-/Mini-Mond-Definitionen (Parameter rule)
+const SUPERMOON_RULES = {
+  span10: "Neu-/Vollmond im innersten 10%-Bereich der jeweiligen Distanzspanne zwischen Perigäum und Apogäum (pro Zyklus).",
+  nolle90: "Nolle: Neu-/Vollmond innerhalb 90 % der größten Annäherung, d.h. im innersten 10%-Bereich zwischen nächstem Perigäum und fernstem Apogäum des Kalenderjahres.",
+  fixed: "Feste Distanzgrenze: unter superKm = Super, über miniKm = Mini.",
+  perigee24h: "Neu-/Vollmond höchstens 24 Stunden vor oder nach einem Perigäum (Super) bzw. Apogäum (Mini)."
+};
+const DEFAULT_RULE = "span10";
+const FIXED_SUPER_KM = 360000;
+const FIXED_MINI_KM = 405000;
+const PERIGEE_WINDOW_HOURS = 24;
+
+// Perigäische Springflut: Abstand Syzygie–Perigäum (Parameter tideHours)
+const DEFAULT_TIDE_HOURS = 48;
+const MAX_TIDE_HOURS = 168;
+// Gezeitenkraft ~ Masse / Distanz³; Sonne wirkt bei mittleren Distanzen ca. 0,46 × Mond
+const MOON_MEAN_DIST_KM = 384400;
+const SUN_TIDE_RATIO = 0.46;
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 3 * 366; // ca. 3 Jahre pro Anfrage (Serverless-Laufzeit)
+
+// ---------- Rundung ----------
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
 }
 
+// ---------- Distanz + Phasen-Label ----------
 function getMoonDistAU(swe, jd) {
   const pos = swe.calc_ut(jd, swe.SE_MOON, swe.SEFLG_SWIEPH);
   return pos[2]; // AU
 }
 
-function getPhaseDeltaDeg(swe, jd) {
-  const moonLon = getLonDeg(swe, jd, swe.SE_MOON);
-  const sunLon = getLonDeg(swe, jd, swe.SE_SUN);
-  return norm360(moonLon - sunLon);
+function getSunDistAU(swe, jd) {
+  const pos = swe.calc_ut(jd, swe.SE_SUN, swe.SEFLG_SWIEPH);
+  return pos[2]; // AU
 }
 
 function phaseLabelFromDelta(deltaDeg) {
@@ -100,66 +131,85 @@ function refineExtremumDistance(swe, jdCenter, kind /* "min"|"max" */) {
   return { jd, distAU };
 }
 
+// ---------- Distanz / Jahresextreme ----------
 const RAD = Math.PI / 180;
 
-// Smooth distance-to-phase measures (avoid 0/360 discontinuity):
-// New moon: delta=0 -> value 0. Full moon: delta=180 -> value 0.
-function phaseMetricNew(swe, jd) {
-  const d = getPhaseDeltaDeg(swe, jd);
-  return 1 - Math.cos(d * RAD);
+// Scheinbarer Durchmesser (geozentrisch) in Bogenminuten
+function apparentDiameterArcmin(distKm) {
+  return (2 * Math.asin(MOON_RADIUS_KM / distKm) / RAD) * 60;
 }
-function phaseMetricFull(swe, jd) {
-  const d = getPhaseDeltaDeg(swe, jd);
-  return 1 + Math.cos(d * RAD);
+
+function describeMoonExtreme(x) {
+  const distKm = x.distAU * AU_KM;
+  return {
+    datum: x.datum,
+    datetime_utc: jdToIsoUtc(x.jd),
+    jd: round(x.jd, 6),
+    distAU: round(x.distAU, 8),
+    distKm: Math.round(distKm),
+    diameterArcmin: round(apparentDiameterArcmin(distKm), 2)
+  };
 }
 
-function refinePhaseMinimum(swe, jdCenter, which /* "new"|"full" */) {
-  let a = jdCenter - 1.0;
-  let b = jdCenter + 1.0;
-  const metric = which === "new" ? phaseMetricNew : phaseMetricFull;
+// Mond- + Sonnenanteil, normiert auf die Summe bei mittleren Distanzen (= 1)
+function tidalForceIndex(moonDistKm, sunDistAU) {
+  const moon = Math.pow(MOON_MEAN_DIST_KM / moonDistKm, 3);
+  const sun = SUN_TIDE_RATIO * Math.pow(1 / sunDistAU, 3);
+  return (moon + sun) / (1 + SUN_TIDE_RATIO);
+}
 
-  for (let iter = 0; iter < 45; iter++) {
-    const m1 = a + (b - a) / 3;
-    const m2 = b - (b - a) / 3;
-    const f1 = metric(swe, m1);
-    const f2 = metric(swe, m2);
-    if (f1 < f2) b = m2;
-    else a = m1;
+// Pro Kalenderjahr das Listenelement mit kleinster (min) bzw. größter (max) Distanz
+function extremeByYear(list, kind /* "min"|"max" */) {
+  const best = new Map();
+  for (const x of list) {
+    const y = jdToCalendar(x.jd).year;
+    const cur = best.get(y);
+    const better = !cur || (kind === "min" ? x.distAU < cur.distAU : x.distAU > cur.distAU);
+    if (better) best.set(y, x);
   }
-  return { jd: (a + b) / 2 };
+  return best;
 }
 
-// Find minima of phase metric by scanning and detecting trend changes
-function findPhaseEventsInYear(swe, jdStart, jdEnd, which /* "new"|"full" */) {
-  const metric = which === "new" ? phaseMetricNew : phaseMetricFull;
-  const step = 0.25; // 6h
-  const events = [];
-
-  let prev = metric(swe, jdStart);
-  let prevDiff = null;
-
-  for (let jd = jdStart + step; jd <= jdEnd; jd += step) {
-    const cur = metric(swe, jd);
-    const diff = cur - prev;
-
-    if (prevDiff !== null) {
-      // minimum occurs when slope changes from negative to positive
-      if (prevDiff < 0 && diff > 0) {
-        const approx = jd - step; // around turning point
-        const refined = refinePhaseMinimum(swe, approx, which);
+// Begründung im Hinweistext (span10: Wortlaut wie bisher)
+function ruleReason(rule, kind, superKm, miniKm) {
+  const isSuper = kind === "super";
+  switch (rule) {
+    case "nolle90":
+      return isSuper
+        ? "innerhalb 90 % der größten Annäherung des Jahres, Nolle"
+        : "innerhalb 90 % der größten Entfernung des Jahres, Nolle";
+    case "fixed":
+      return isSuper
+        ? `Distanz unter ${superKm.toLocaleString("de-DE")} km`
+        : `Distanz über ${miniKm.toLocaleString("de-DE")} km`;
+    case "perigee24h":
+      return `höchstens ${PERIGEE_WINDOW_HOURS} h vom ${isSuper ? "Perigäum" : "Apogäum"} entfernt`;
+    default:
+      return "liegt im 10%-Bereich der Distanzspanne";
+  }
+}
 
-        // de-dup: new/full are ~29.5 days apart each; keep 10-day separation safe
-        if (!events.length || Math.abs(refined.jd - events[events.length - 1].jd) > 10) {
-          events.push({ jd: refined.jd });
-        }
-      }
+// ---------- Finsternisse ----------
+// Alle Sonnen- und Mondfinsternisse (globales Maximum) in [jdStart, jdEnd)
+function findEclipsesInRange(swe, jdStart, jdEnd) {
+  const flags = swe.SEFLG_SWIEPH;
+  const eclipses = [];
+
+  for (const { whenFn, types } of [
+    { whenFn: (jd) => swe.sol_eclipse_when_glob(jd, flags, 0, 0), types: SOLAR_ECLIPSE_TYPES },
+    { whenFn: (jd) => swe.lun_eclipse_when(jd, flags, 0, 0), types: LUNAR_ECLIPSE_TYPES }
+  ]) {
+    let jd = jdStart;
+    for (;;) {
+      const r = whenFn(jd);
+      if (!r || r.tret[0] >= jdEnd) break;
+      const t = eclipseTypeOf(swe, r.retFlag, types);
+      eclipses.push({ jd: r.tret[0], type: t ? t.type : null, label: t ? t.label : "Finsternis" });
+      jd = r.tret[0] + 1;
     }
-
-    prevDiff = diff;
-    prev = cur;
   }
 
-  return events;
+  return eclipses.sort((a, b) => a.jd - b.jd);
 }
 
 // ---------- Cycle pairing helpers ----------
@@ -204,22 +254,80 @@ export default async function handler(req, res) {
   const swe = new SwissEph();
 
   try {
-    const yearParam =
-      (req.method === "GET" ? req.query.year : req.body?.year) ?? "";
-    const year = parseInt(yearParam, 10);
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
+
+    if (range.error) {
+      return res.status(400).json({
+        ok: false,
+        error: range.error
+      });
+    }
 
-    if (!Number.isFinite(year) || year < 1900 || year > 2050) {
+    const { year, from, to } = range;
+
+    const rule = String(params.rule || DEFAULT_RULE).trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SUPERMOON_RULES, rule)) {
       return res.status(400).json({
         ok: false,
-        error: "Bitte ein Jahr zwischen 1900 und 2050 angeben."
+        error: `Parameter rule ungültig (${Object.keys(SUPERMOON_RULES).join(", ")}).`
+      });
+    }
+
+    const superKm = params.superKm != null && params.superKm !== "" ? Number(params.superKm) : FIXED_SUPER_KM;
+    const miniKm = params.miniKm != null && params.miniKm !== "" ? Number(params.miniKm) : FIXED_MINI_KM;
+    if (!Number.isFinite(superKm) || !Number.isFinite(miniKm) || superKm <= 0 || miniKm <= superKm) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter superKm/miniKm ungültig (Zahlen in km, superKm < miniKm)."
+      });
+    }
+
+    const tideHours = params.tideHours != null && params.tideHours !== "" ? Number(params.tideHours) : DEFAULT_TIDE_HOURS;
+    if (!Number.isFinite(tideHours) || tideHours <= 0 || tideHours > MAX_TIDE_HOURS) {
+      return res.status(400).json({
+        ok: false,
+        error: `Parameter tideHours ungültig (Stunden, größer 0 bis ${MAX_TIDE_HOURS}).`
+      });
+    }
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (!["json", "ics", "csv"].includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json, ics oder csv)."
       });
     }
 
     await swe.initSwissEph();
 
-    const jdStart = swe.julday(year, 1, 1, 0.0);
-    const jdEnd = swe.julday(year + 1, 1, 2, 0.0);
-    const days = Math.floor(jdEnd - jdStart);
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe (wie perigaeum-year)
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    }
+
+    // Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd = calendarToJd(to.y, to.mo, to.d) + 1;
+    const inRange = (jd) => jd >= jdRangeStart && jd < jdRangeEnd;
+
+    // Puffer: ca. ein halber Zyklus, damit Randereignisse gepaart werden können
+    const pad = 20;
+    const jdStart = jdRangeStart - pad;
+    const jdEnd = jdRangeEnd + pad;
+
+    // Perigäen/Apogäen über ganze Kalenderjahre (nolle90 braucht die Jahresextreme)
+    const jdScanStart = Math.min(jdStart, calendarToJd(from.y, 1, 1) - pad);
+    const jdScanEnd = Math.max(jdEnd, calendarToJd(to.y + 1, 1, 1) + pad);
+    const days = Math.floor(jdScanEnd - jdScanStart);
+
+    const epheMoon = detectEphemerisRange(swe, jdStart, jdEnd, swe.SE_MOON, 1);
+    const epheSun = detectEphemerisRange(swe, jdStart, jdEnd, swe.SE_SUN, 0);
 
     // --- 1) Approx Perigee/Apogee by trend change (daily) ---
     const perigeesRaw = [];
@@ -229,7 +337,7 @@ export default async function handler(req, res) {
     let prevTrend = null;
 
     for (let i = 0; i <= days; i++) {
-      const jd = jdStart + i;
+      const jd = jdScanStart + i;
       const dist = getMoonDistAU(swe, jd);
 
       if (prevDist !== null) {
@@ -237,11 +345,11 @@ export default async function handler(req, res) {
 
         if (prevTrend === -1 && trend === +1) {
           const jdApprox = jd - 1;
-          if (jdApprox >= jdStart && jdApprox < jdEnd) perigeesRaw.push({ jdApprox });
+          if (jdApprox >= jdScanStart && jdApprox < jdScanEnd) perigeesRaw.push({ jdApprox });
         }
         if (prevTrend === +1 && trend === -1) {
           const jdApprox = jd - 1;
-          if (jdApprox >= jdStart && jdApprox < jdEnd) apogeesRaw.push({ jdApprox });
+          if (jdApprox >= jdScanStart && jdApprox < jdScanEnd) apogeesRaw.push({ jdApprox });
         }
 
         prevTrend = trend;
@@ -280,9 +388,10 @@ export default async function handler(req, res) {
       })
       .sort((a, b) => a.jd - b.jd);
 
-    // --- 3) Find real New/Full moons (smooth minima) ---
-    const newMoons = findPhaseEventsInYear(swe, jdStart, jdEnd, "new");
-    const fullMoons = findPhaseEventsInYear(swe, jdStart, jdEnd, "full");
+    // --- 3) Find real New/Full moons (phase angle 0° / 180°) ---
+    const syzygyEvents = findPhaseCrossings(swe, jdStart, jdEnd, [0, 180]).filter(ev => inRange(ev.jd));
+    const newMoons = syzygyEvents.filter(ev => ev.angle === 0);
+    const fullMoons = syzygyEvents.filter(ev => ev.angle === 180);
 
     // --- 4) 10%-rule classification (per cycle neighborhood) ---
     function classifyEvent(jdEvent) {
@@ -331,61 +440,232 @@ export default async function handler(req, res) {
       if (!list[idx].notes.includes(note)) list[idx].notes.push(note);
     }
 
-    for (const ev of newMoons) {
-      const cls = classifyEvent(ev.jd);
-      const dateStr = jdToDateStr(ev.jd);
-      if (cls.kind === "super") {
-        attachNoteToNearest(
-          perigees,
-          ev.jd,
-          `Super-Neumond am ${dateStr} (liegt im 10%-Bereich der Distanzspanne)`
-        );
-      } else if (cls.kind === "mini") {
-        attachNoteToNearest(
-          apogees,
-          ev.jd,
-          `Mini-Neumond am ${dateStr} (liegt im 10%-Bereich der Distanzspanne)`
-        );
+    // --- 4b) Alle Definitionen für einen Neu-/Vollmond ---
+    const yearPerigeeMin = extremeByYear(perigees, "min");
+    const yearApogeeMax = extremeByYear(apogees, "max");
+
+    function classifyAllRules(jdEvent) {
+      const span10 = classifyEvent(jdEvent);
+      const distAU = span10.distEvent;
+      const distKm = distAU * AU_KM;
+
+      let nolle90 = "normal";
+      const year = jdToCalendar(jdEvent).year;
+      const pMin = yearPerigeeMin.get(year);
+      const aMax = yearApogeeMax.get(year);
+      if (pMin && aMax) {
+        const span = aMax.distAU - pMin.distAU;
+        if (distAU <= pMin.distAU + 0.10 * span) nolle90 = "super";
+        else if (distAU >= aMax.distAU - 0.10 * span) nolle90 = "mini";
       }
+
+      const fixed = distKm < superKm ? "super" : distKm > miniKm ? "mini" : "normal";
+
+      const hoursToNearest = (list) =>
+        list.length ? Math.abs(list[findNearestIndexByJd(list, jdEvent)].jd - jdEvent) * 24 : Infinity;
+      const perigee24h =
+        hoursToNearest(perigees) <= PERIGEE_WINDOW_HOURS ? "super"
+          : hoursToNearest(apogees) <= PERIGEE_WINDOW_HOURS ? "mini"
+          : "normal";
+
+      return { distAU, kinds: { span10: span10.kind, nolle90, fixed, perigee24h } };
     }
 
-    for (const ev of fullMoons) {
-      const cls = classifyEvent(ev.jd);
-      const dateStr = jdToDateStr(ev.jd);
-      if (cls.kind === "super") {
-        attachNoteToNearest(
-          perigees,
-          ev.jd,
-          `Super-Vollmond am ${dateStr} (liegt im 10%-Bereich der Distanzspanne)`
-        );
-      } else if (cls.kind === "mini") {
-        attachNoteToNearest(
-          apogees,
-          ev.jd,
-          `Mini-Vollmond am ${dateStr} (liegt im 10%-Bereich der Distanzspanne)`
-        );
+    // Finsternismaximum liegt höchstens wenige Stunden neben dem Neu-/Vollmond
+    const eclipses = findEclipsesInRange(swe, jdStart, jdEnd);
+    const eclipseAt = (jd) => eclipses.find(e => Math.abs(e.jd - jd) < 1) || null;
+
+    const superMiniEvents = [];
+    const syzygies = [];
+
+    for (const { events, phaseName } of [
+      { events: newMoons, phaseName: "Neumond" },
+      { events: fullMoons, phaseName: "Vollmond" }
+    ]) {
+      for (const ev of events) {
+        const cls = classifyAllRules(ev.jd);
+        const kind = cls.kinds[rule];
+        const dateStr = jdToDateStr(ev.jd);
+        const eclipse = eclipseAt(ev.jd);
+
+        if (kind === "super" || kind === "mini") {
+          const label = `${kind === "super" ? "Super" : "Mini"}-${phaseName}`;
+          const note = `${label} am ${dateStr} (${ruleReason(rule, kind, superKm, miniKm)})` +
+            (eclipse ? ` – zugleich ${eclipse.label}` : "");
+          attachNoteToNearest(kind === "super" ? perigees : apogees, ev.jd, note);
+          superMiniEvents.push({ jd: ev.jd, label, note });
+        }
+
+        const rules = Object.keys(cls.kinds);
+        syzygies.push({
+          phase: phaseName,
+          ...describeMoonExtreme({ jd: ev.jd, distAU: cls.distAU, datum: dateStr }),
+          super: rules.filter(r => cls.kinds[r] === "super"),
+          mini: rules.filter(r => cls.kinds[r] === "mini"),
+          eclipse: eclipse
+            ? { type: eclipse.type, label: eclipse.label, datetime_utc: jdToIsoUtc(eclipse.jd) }
+            : null
+        });
       }
     }
+    syzygies.sort((a, b) => a.jd - b.jd);
+
+    // --- 4c) Perigäische Springfluten: Syzygie nahe am Perigäum ---
+    const perigeanSpringTides = [];
+    for (const syz of syzygies) {
+      if (!perigees.length) break;
+      const per = perigees[findNearestIndexByJd(perigees, syz.jd)];
+      const separationHours = (syz.jd - per.jd) * 24;
+      if (Math.abs(separationHours) > tideHours) continue;
+
+      const sunDistAU = getSunDistAU(swe, syz.jd);
+      perigeanSpringTides.push({
+        phase: syz.phase,
+        datum: syz.datum,
+        datetime_utc: syz.datetime_utc,
+        jd: syz.jd,
+        distKm: syz.distKm,
+        sunDistAU: round(sunDistAU, 6),
+        perigee: describeMoonExtreme(per),
+        // positiv: Syzygie nach dem Perigäum
+        separationHours: round(separationHours, 1),
+        tideIndex: round(tidalForceIndex(syz.distAU * AU_KM, sunDistAU), 4)
+      });
+    }
+
+    const perigeesOut = perigees.filter(p => inRange(p.jd));
+    const apogeesOut = apogees.filter(a => inRange(a.jd));
+
+    // --- 5) Jahresextreme: Proxigäum + fernstes Apogäum ---
+    const proxigees = extremeByYear(perigeesOut, "min");
+    const farthestApogees = extremeByYear(apogeesOut, "max");
+    for (const p of perigeesOut) p.proxigee = proxigees.get(jdToCalendar(p.jd).year) === p;
+    for (const a of apogeesOut) a.farthestApogee = farthestApogees.get(jdToCalendar(a.jd).year) === a;
+
+    const extremes = [];
+    for (let y = from.y; y <= to.y; y++) {
+      const p = proxigees.get(y);
+      const a = farthestApogees.get(y);
+      extremes.push({
+        year: y,
+        // false = Jahr nur teilweise im Zeitraum (Extrem gilt nur für diesen Teil)
+        complete: jdRangeStart <= calendarToJd(y, 1, 1) && jdRangeEnd >= calendarToJd(y + 1, 1, 1),
+        proxigee: p ? describeMoonExtreme(p) : null,
+        farthestApogee: a ? describeMoonExtreme(a) : null
+      });
+    }
+
+    const extremeLabel = (x) =>
+      x.proxigee ? "Proxigäum (nächstes Perigäum des Jahres)"
+        : x.farthestApogee ? "Fernstes Apogäum des Jahres"
+        : null;
+
+    const rangeLabel = year != null ? String(year) : `${formatDateISO(from)}_${formatDateISO(to)}`;
+
+    if (format === "csv") {
+      const tideByJd = new Map(perigeanSpringTides.map(t => [t.jd, t]));
+      const rows = [
+        ...perigeesOut.map(p => ({ label: "Perigäum", ...p })),
+        ...apogeesOut.map(a => ({ label: "Apogäum", ...a })),
+        ...syzygies.map(s => ({ label: s.phase, ...s }))
+      ]
+        .sort((x, y) => x.jd - y.jd)
+        .map(x => {
+          if (x.super) {
+            return [
+              x.label, x.datum, x.datetime_utc, x.distKm, x.diameterArcmin, null, x.phase,
+              x.eclipse ? x.eclipse.label : null,
+              x.super.join(", "), x.mini.join(", "),
+              tideByJd.get(x.jd)?.separationHours ?? null, tideByJd.get(x.jd)?.tideIndex ?? null
+            ];
+          }
+          const d = describeMoonExtreme(x);
+          return [
+            x.label, d.datum, d.datetime_utc, d.distKm, d.diameterArcmin, extremeLabel(x), x.phase, x.notes.join(" | "),
+            null, null, null, null
+          ];
+        });
+
+      const header = [
+        "Ereignis", "Datum", "Zeit (UTC)", "Distanz (km)", "Scheinbarer Durchmesser (′)",
+        "Jahresextrem", "Mondphase", "Hinweise", "Super nach Regel", "Mini nach Regel",
+        "Springflut: Abstand zum Perigäum (h)", "Springflut: Gezeitenkraft-Index"
+      ];
+      return sendCsv(res, `mond-perigaeum-${rangeLabel}.csv`, buildCsv(header, rows));
+    }
+
+    if (format === "ics") {
+      const describe = (x) => {
+        const d = describeMoonExtreme(x);
+        return [
+          `Distanz: ${d.distKm.toLocaleString("de-DE")} km, scheinbarer Durchmesser ${d.diameterArcmin}′`,
+          ...(extremeLabel(x) ? [extremeLabel(x)] : []),
+          `Mondphase: ${x.phase}`,
+          ...x.notes
+        ].join("\n");
+      };
+      const events = [
+        ...perigeesOut.map(p => ({
+          uid: icsUid("mond-perigaeum", icsDay(p.jd)),
+          start: jdToIsoUtc(p.jd),
+          summary: "Mond-Perigäum",
+          description: describe(p)
+        })),
+        ...apogeesOut.map(a => ({
+          uid: icsUid("mond-apogaeum", icsDay(a.jd)),
+          start: jdToIsoUtc(a.jd),
+          summary: "Mond-Apogäum",
+          description: describe(a)
+        })),
+        ...superMiniEvents.map(ev => ({
+          uid: icsUid(ev.label.toLowerCase(), icsDay(ev.jd)),
+          start: jdToIsoUtc(ev.jd),
+          summary: ev.label,
+          description: ev.note
+        }))
+      ].sort((x, y) => x.start.localeCompare(y.start));
+
+      const calName = year != null
+        ? `Mond-Perigäen/Apogäen ${year}`
+        : `Mond-Perigäen/Apogäen ${formatDateISO(from)} bis ${formatDateISO(to)}`;
+      return sendIcs(res, `mond-perigaeum-${rangeLabel}.ics`, buildIcs("moon-perigee-apogee-year", calName, events));
+    }
 
     return res.status(200).json({
       ok: true,
       year,
+      range: { from: formatDateISO(from), to: formatDateISO(to) },
       meta: {
         timeBasis: "UTC",
-        superMiniRule:
-          "Neu-/Vollmond im innersten 10%-Bereich der jeweiligen Distanzspanne zwischen Perigäum und Apogäum (pro Zyklus)."
+        ephemeris: {
+          ...buildEphemerisMeta([...epheMoon.types, ...epheSun.types], from, to),
+          moon: epheMoon.label,
+          sun: epheSun.label
+        },
+        rule,
+        superMiniRule: SUPERMOON_RULES[rule],
+        rules: SUPERMOON_RULES,
+        fixedThresholdsKm: { super: superKm, mini: miniKm },
+        tideHours,
+        tideIndex: "Relative Gezeitenkraft von Mond + Sonne (~ 1/Distanz³), 1 = Springflut bei mittleren Distanzen."
       },
       counts: {
-        perigee: perigees.length,
-        apogee: apogees.length
+        perigee: perigeesOut.length,
+        apogee: apogeesOut.length,
+        perigeanSpringTide: perigeanSpringTides.length
       },
-      perigees: perigees.map(p => ({
-        datum: p.datum,
+      extremes,
+      syzygies,
+      perigeanSpringTides,
+      perigees: perigeesOut.map(p => ({
+        ...describeMoonExtreme(p),
+        proxigee: p.proxigee,
         phase: p.phase,
         notes: p.notes
       })),
-      apogees: apogees.map(a => ({
-        datum: a.datum,
+      apogees: apogeesOut.map(a => ({
+        ...describeMoonExtreme(a),
+        farthestApogee: a.farthestApogee,
         phase: a.phase,
         notes: a.notes
       }))
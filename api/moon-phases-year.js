@@ -0,0 +1,203 @@
+// api/moon-phases-year.js
+// Mondphasen-Kalender pro Jahr (deutsch, UTC): alle acht Phasen mit Zeichen/Grad
+//
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS).
+//
+// - Phasenwinkel = Länge Mond − Länge Sonne (wie moon-perigee-apogee-year), geozentrisch.
+// - Acht Phasen alle 45°: Neumond, Sichelmond, Erstes Viertel, Dreiviertelmond (zunehmend),
+//   Vollmond, Verbreitender Mond, Letztes Viertel, Balsamischer Mond. Zeitpunkt = Beginn
+//   der Phase (Winkel erreicht), 6h-Scan + Bisektion minutengenau.
+// - Position: Mond im Tierkreis (Zeichen/Grad/Minute) zum Phasenbeginn.
+// - Lunation: Nummer nach Meeus (0 = Neumond 06.01.2000) und nach Brown (1 = Neumond
+//   17.01.1923); jede Phase gehört zur Lunation ihres vorangehenden Neumonds.
+//
+// Ausgabe: format=json (Standard), format=ics (eine VEVENT pro Phase, stabile UID pro
+// Phase + Tag) oder format=csv (eine Zeile pro Phase).
+//
+// Ephemeride: Sonne aus api/ephe (sepl_18); eine Monddatei (semo_18) liegt dort nicht,
+// der Mond wird daher mit Moshier gerechnet.
+
+import SwissEph from "swisseph-wasm";
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { icsUid, buildIcs, sendIcs, icsDay } from "./_lib/ics.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { findPhaseCrossings } from "./_lib/lunation.js";
+import { norm360, formatZodiacPos } from "./_lib/zodiac.js";
+
+export const config = { runtime: "nodejs" };
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 3 * 366; // ca. 3 Jahre pro Anfrage (Serverless-Laufzeit)
+
+// Phasenbeginn alle 45° Phasenwinkel
+const PHASES = [
+  { key: "new",           angle: 0,   name: "Neumond" },
+  { key: "crescent",      angle: 45,  name: "Sichelmond" },
+  { key: "firstQuarter",  angle: 90,  name: "Erstes Viertel" },
+  { key: "gibbous",       angle: 135, name: "Dreiviertelmond (zunehmend)" },
+  { key: "full",          angle: 180, name: "Vollmond" },
+  { key: "disseminating", angle: 225, name: "Verbreitender Mond" },
+  { key: "lastQuarter",   angle: 270, name: "Letztes Viertel" },
+  { key: "balsamic",      angle: 315, name: "Balsamischer Mond" }
+];
+
+// Meeus, Astronomical Algorithms Kap. 49: Neumond der Lunation 0 + mittlere synodische Periode
+const LUNATION_0_JD = 2451550.09766;
+const SYNODIC_MONTH = 29.530588861;
+const BROWN_OFFSET = 953;
+
+// ---------- Rundung ----------
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+// ---------- Angle helpers ----------
+function getLonDeg(swe, jd, bodyId) {
+  const pos = swe.calc_ut(jd, bodyId, swe.SEFLG_SWIEPH);
+  return pos[0];
+}
+
+// ---------- Phasen ----------
+// Lunation des vorangehenden Neumonds (Meeus); Rundung fängt die Abweichung der wahren
+// von der mittleren Phase ab (max. ca. 14 h)
+function lunationNumber(jd, angle) {
+  return Math.round((jd - LUNATION_0_JD) / SYNODIC_MONTH - angle / 360);
+}
+
+function describePhase(swe, ev) {
+  const lon = norm360(getLonDeg(swe, ev.jd, swe.SE_MOON));
+  const pos = formatZodiacPos(lon);
+  const lunation = lunationNumber(ev.jd, ev.phase.angle);
+
+  return {
+    key: ev.phase.key,
+    name: ev.phase.name,
+    angle: ev.phase.angle,
+    datum: formatDateDE(jdToCalendar(ev.jd)),
+    datetime_utc: jdToIsoUtc(ev.jd),
+    jd: round(ev.jd, 6),
+    lunation,
+    brownLunation: lunation + BROWN_OFFSET,
+    lon: round(lon, 4),
+    sign: pos.sign,
+    deg: pos.deg,
+    min: pos.min,
+    posText: pos.text
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const swe = new SwissEph();
+
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
+
+    if (range.error) {
+      return res.status(400).json({
+        ok: false,
+        error: range.error
+      });
+    }
+
+    const { year, from, to } = range;
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (!["json", "ics", "csv"].includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json, ics oder csv)."
+      });
+    }
+
+    await swe.initSwissEph();
+
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe (wie perigaeum-year)
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    }
+
+    // Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd = calendarToJd(to.y, to.mo, to.d) + 1;
+
+    const epheMoon = detectEphemerisRange(swe, jdRangeStart, jdRangeEnd, swe.SE_MOON, 1);
+    const epheSun = detectEphemerisRange(swe, jdRangeStart, jdRangeEnd, swe.SE_SUN, 0);
+
+    // Ein Scan für alle acht Phasen (Phasenbeginn = Phasenwinkel erreicht)
+    const phases = findPhaseCrossings(swe, jdRangeStart, jdRangeEnd, PHASES.map(p => p.angle))
+      .map(ev => describePhase(swe, { jd: ev.jd, phase: PHASES.find(p => p.angle === ev.angle) }));
+
+    const counts = {};
+    for (const p of PHASES) counts[p.key] = 0;
+    for (const p of phases) counts[p.key]++;
+
+    const rangeLabel = year != null ? String(year) : `${formatDateISO(from)}_${formatDateISO(to)}`;
+
+    if (format === "csv") {
+      const header = [
+        "Phase", "Phasenwinkel (°)", "Datum", "Zeit (UTC)", "Mondposition", "Zeichen", "Lunation (Meeus)", "Lunation (Brown)"
+      ];
+      const rows = phases.map(p => [
+        p.name, p.angle, p.datum, p.datetime_utc, p.posText, p.sign, p.lunation, p.brownLunation
+      ]);
+      return sendCsv(res, `mondphasen-${rangeLabel}.csv`, buildCsv(header, rows));
+    }
+
+    if (format === "ics") {
+      const events = phases.map(p => ({
+        uid: icsUid("mondphase", p.key, icsDay(p.jd)),
+        start: p.datetime_utc,
+        summary: `${p.name} in ${p.sign}`,
+        description: `Mond: ${p.posText}\nLunation ${p.lunation} (Brown ${p.brownLunation})`
+      }));
+      const calName = year != null
+        ? `Mondphasen ${year}`
+        : `Mondphasen ${formatDateISO(from)} bis ${formatDateISO(to)}`;
+      return sendIcs(res, `mondphasen-${rangeLabel}.ics`, buildIcs("moon-phases-year", calName, events));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      year,
+      range: { from: formatDateISO(from), to: formatDateISO(to) },
+      meta: {
+        timeBasis: "UTC",
+        ephemeris: {
+          ...buildEphemerisMeta([...epheMoon.types, ...epheSun.types], from, to),
+          moon: epheMoon.label,
+          sun: epheSun.label
+        },
+        phases: PHASES,
+        lunation: "Meeus: 0 = Neumond 06.01.2000; Brown = Meeus + 953 (1 = Neumond 17.01.1923)."
+      },
+      counts,
+      phases
+    });
+  } catch (e) {
+    console.error("Mondphasen-Fehler:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e)
+    });
+  } finally {
+    try { swe.close(); } catch (_) {}
+  }
+}
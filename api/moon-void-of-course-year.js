@@ -0,0 +1,367 @@
+// api/moon-void-of-course-year.js
+// Mond-Zeichenwechsel (Ingress) + Void-of-Course-Phasen pro Jahr (deutsch, UTC + Ortszeit)
+//
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS; Tagesgrenzen in UTC).
+//
+// - Ingress: Mond erreicht 0° eines Zeichens (tropisch), 6h-Scan + Bisektion minutengenau;
+//   Zeichen mit Symbol und m/w wie in jonas-mondphasen-year.
+// - Void of Course: vom letzten exakten Hauptaspekt (Konjunktion, Sextil, Quadrat, Trigon,
+//   Opposition) des Mondes zu einem Planeten bis zum nächsten Ingress. Ohne Aspekt im
+//   ganzen Zeichen beginnt die Phase mit dem vorigen Ingress.
+// - planets=modern (Standard): Sonne–Pluto; planets=klassisch: Sonne–Saturn.
+// - tz=<IANA-Zone> (z.B. Europe/Berlin, inkl. Sommerzeit laut Zeitzonendatenbank) oder fester
+//   Offset (+1, +02:00): zusätzlich datetime_local mit Offset.
+//
+// Ausgabe: format=json (Standard) oder format=csv (eine Zeile pro Ingress mit der davor
+// liegenden Void-of-Course-Phase).
+//
+// Ephemeride: Planeten aus api/ephe (sepl_18); eine Monddatei (semo_18) liegt dort nicht,
+// der Mond wird daher mit Moshier gerechnet.
+
+import SwissEph from "swisseph-wasm";
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { parseZoneOrThrow, formatLocalIso } from "./_lib/zones.js";
+import { norm360 } from "./_lib/zodiac.js";
+
+export const config = { runtime: "nodejs" };
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 3 * 366; // ca. 3 Jahre pro Anfrage (Serverless-Laufzeit)
+
+// Mond bleibt max. ca. 2,7 Tage in einem Zeichen: Puffer für Aspekte/Ingress an den Rändern
+const PAD_DAYS = 3;
+
+// Tierkreis (tropisch) + m/w (wie jonas-mondphasen-year)
+const ZODIAC = [
+  { name: "Widder",     symbol: "♈", sex: "m" },
+  { name: "Stier",      symbol: "♉", sex: "w" },
+  { name: "Zwillinge",  symbol: "♊", sex: "m" },
+  { name: "Krebs",      symbol: "♋", sex: "w" },
+  { name: "Löwe",       symbol: "♌", sex: "m" },
+  { name: "Jungfrau",   symbol: "♍", sex: "w" },
+  { name: "Waage",      symbol: "♎", sex: "m" },
+  { name: "Skorpion",   symbol: "♏", sex: "w" },
+  { name: "Schütze",    symbol: "♐", sex: "m" },
+  { name: "Steinbock",  symbol: "♑", sex: "w" },
+  { name: "Wassermann", symbol: "♒", sex: "m" },
+  { name: "Fische",     symbol: "♓", sex: "w" }
+];
+
+const PLANETS = [
+  { id: "SE_SUN",     name: "Sonne"   },
+  { id: "SE_MERCURY", name: "Merkur"  },
+  { id: "SE_VENUS",   name: "Venus"   },
+  { id: "SE_MARS",    name: "Mars"    },
+  { id: "SE_JUPITER", name: "Jupiter" },
+  { id: "SE_SATURN",  name: "Saturn"  },
+  { id: "SE_URANUS",  name: "Uranus",  modern: true },
+  { id: "SE_NEPTUNE", name: "Neptun",  modern: true },
+  { id: "SE_PLUTO",   name: "Pluto",   modern: true }
+];
+
+const PLANET_SETS = {
+  modern: "Sonne, Merkur, Venus, Mars, Jupiter, Saturn, Uranus, Neptun, Pluto",
+  klassisch: "Sonne, Merkur, Venus, Mars, Jupiter, Saturn"
+};
+
+// Hauptaspekte; Elongation Mond − Planet trifft angle oder 360 − angle
+const ASPECTS = [
+  { angle: 0,   name: "Konjunktion" },
+  { angle: 60,  name: "Sextil" },
+  { angle: 90,  name: "Quadrat" },
+  { angle: 120, name: "Trigon" },
+  { angle: 180, name: "Opposition" }
+];
+
+// ---------- Rundung ----------
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+// ---------- Angle helpers ----------
+// signed diff a - b in degrees, wrapped to [-180..+180]
+function signedDiffDeg(a, b) {
+  let d = norm360(a - b);
+  if (d > 180) d -= 360;
+  return d;
+}
+
+function getLonDeg(swe, jd, bodyId) {
+  const pos = swe.calc_ut(jd, bodyId, swe.SEFLG_SWIEPH);
+  return norm360(pos[0]);
+}
+
+// Bisektion auf den Vorzeichenwechsel von f in [a, b] (f(a) < 0 <= f(b)) bis 1 Minute
+function bisectRising(f, a, b) {
+  for (let i = 0; i < 60 && (b - a) > 1 / 1440; i++) {
+    const m = (a + b) / 2;
+    if (f(m) < 0) a = m;
+    else b = m;
+  }
+  return (a + b) / 2;
+}
+
+// ---------- Ingress + Aspekte ----------
+// Mond läuft max. ca. 15,4°/Tag: im 6h-Schritt höchstens ca. 4° – kein Zeichen, kein
+// Aspekt wird übersprungen (Abstand der Aspektwinkel mind. 30°)
+const SCAN_STEP = 0.25;
+
+function findIngresses(swe, jdStart, jdEnd) {
+  const moonLon = (jd) => getLonDeg(swe, jd, swe.SE_MOON);
+  const ingresses = [];
+
+  let prevSign = Math.floor(moonLon(jdStart) / 30);
+  for (let jd = jdStart + SCAN_STEP; jd < jdEnd + SCAN_STEP; jd += SCAN_STEP) {
+    const sign = Math.floor(moonLon(jd) / 30);
+    if (sign !== prevSign) {
+      const jdIngress = bisectRising((t) => signedDiffDeg(moonLon(t), sign * 30), jd - SCAN_STEP, jd);
+      if (jdIngress >= jdStart && jdIngress < jdEnd) ingresses.push({ jd: jdIngress, sign, fromSign: prevSign });
+    }
+    prevSign = sign;
+  }
+
+  return ingresses;
+}
+
+// Alle exakten Hauptaspekte Mond–Planet in [jdStart, jdEnd), zeitlich sortiert
+function findMoonAspects(swe, planets, jdStart, jdEnd) {
+  const targets = [];
+  for (const a of ASPECTS) {
+    targets.push({ aspect: a, elong: a.angle });
+    if (a.angle !== 0 && a.angle !== 180) targets.push({ aspect: a, elong: 360 - a.angle });
+  }
+
+  const aspects = [];
+
+  for (const planet of planets) {
+    const bodyId = swe[planet.id];
+    const elong = (jd) => norm360(getLonDeg(swe, jd, swe.SE_MOON) - getLonDeg(swe, jd, bodyId));
+
+    let prev = elong(jdStart);
+    for (let jd = jdStart + SCAN_STEP; jd < jdEnd + SCAN_STEP; jd += SCAN_STEP) {
+      const cur = elong(jd);
+
+      for (const t of targets) {
+        const d0 = signedDiffDeg(prev, t.elong);
+        const d1 = signedDiffDeg(cur, t.elong);
+        if (d0 < 0 && d1 >= 0 && d1 - d0 < 90) {
+          const jdExact = bisectRising((x) => signedDiffDeg(elong(x), t.elong), jd - SCAN_STEP, jd);
+          if (jdExact >= jdStart && jdExact < jdEnd) {
+            aspects.push({ jd: jdExact, planet: planet.name, aspect: t.aspect.name, angle: t.aspect.angle });
+          }
+        }
+      }
+
+      prev = cur;
+    }
+  }
+
+  return aspects.sort((a, b) => a.jd - b.jd);
+}
+
+// Void-of-Course-Phase vor jedem Ingress (ab dem zweiten: der erste hat keinen Vorgänger)
+function buildVoidPeriods(ingresses, aspects) {
+  const periods = [];
+
+  for (let i = 1; i < ingresses.length; i++) {
+    const prev = ingresses[i - 1];
+    const cur = ingresses[i];
+
+    let last = null;
+    for (const a of aspects) {
+      if (a.jd <= prev.jd) continue;
+      if (a.jd >= cur.jd) break;
+      last = a;
+    }
+
+    periods.push({
+      jdStart: last ? last.jd : prev.jd,
+      jdEnd: cur.jd,
+      sign: prev.sign,
+      nextSign: cur.sign,
+      lastAspect: last
+    });
+  }
+
+  return periods;
+}
+
+function describeSign(signIndex) {
+  const z = ZODIAC[signIndex];
+  return { sign: z.name, symbol: z.symbol, sex: z.sex };
+}
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const swe = new SwissEph();
+
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
+
+    if (range.error) {
+      return res.status(400).json({
+        ok: false,
+        error: range.error
+      });
+    }
+
+    const { year, from, to } = range;
+
+    let zone = null;
+    if (params.tz != null && String(params.tz).trim() !== "") {
+      try {
+        zone = parseZoneOrThrow(params.tz, "tz");
+      } catch (e) {
+        return res.status(400).json({
+          ok: false,
+          error: e.message
+        });
+      }
+    }
+
+    const planetSet = String(params.planets || "modern").trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(PLANET_SETS, planetSet)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Parameter planets ungültig (${Object.keys(PLANET_SETS).join(" oder ")}).`
+      });
+    }
+    const planets = PLANETS.filter(p => planetSet === "modern" || !p.modern);
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json oder csv)."
+      });
+    }
+
+    await swe.initSwissEph();
+
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe (wie perigaeum-year)
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    }
+
+    // Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd = calendarToJd(to.y, to.mo, to.d) + 1;
+    const inRange = (jd) => jd >= jdRangeStart && jd < jdRangeEnd;
+
+    // Puffer: davor Ingress + Aspekte des Zeichens, in dem der Mond am Anfang steht,
+    // danach der Ingress, mit dem eine am Ende laufende Void-Phase schließt
+    const jdStart = jdRangeStart - PAD_DAYS;
+    const jdEnd = jdRangeEnd + PAD_DAYS;
+
+    const epheMoon = detectEphemerisRange(swe, jdStart, jdEnd, swe.SE_MOON, 1);
+    const epheSun = detectEphemerisRange(swe, jdStart, jdEnd, swe.SE_SUN, 0);
+
+    const moment = (jd) => ({
+      datum: formatDateDE(jdToCalendar(jd)),
+      datetime_utc: jdToIsoUtc(jd),
+      // Ortszeit auf die Minute wie datetime_utc
+      ...(zone ? { datetime_local: formatLocalIso(zone, Math.round((jd - 2440587.5) * 1440) * 60000) } : {}),
+      jd: round(jd, 6)
+    });
+
+    const ingressesAll = findIngresses(swe, jdStart, jdEnd);
+    const aspects = findMoonAspects(swe, planets, jdStart, jdEnd);
+
+    const ingresses = ingressesAll
+      .filter(x => inRange(x.jd))
+      .map(x => ({
+        ...describeSign(x.sign),
+        fromSign: ZODIAC[x.fromSign].name,
+        ...moment(x.jd)
+      }));
+
+    // Phasen, die in den Zeitraum hineinreichen
+    const voidPeriods = buildVoidPeriods(ingressesAll, aspects)
+      .filter(p => p.jdEnd >= jdRangeStart && p.jdStart < jdRangeEnd)
+      .map(p => ({
+        sign: ZODIAC[p.sign].name,
+        nextSign: ZODIAC[p.nextSign].name,
+        start: moment(p.jdStart),
+        end: moment(p.jdEnd),
+        durationHours: round((p.jdEnd - p.jdStart) * 24, 2),
+        lastAspect: p.lastAspect
+          ? {
+              planet: p.lastAspect.planet,
+              aspect: p.lastAspect.aspect,
+              angle: p.lastAspect.angle,
+              ...moment(p.lastAspect.jd)
+            }
+          : null,
+        info: p.lastAspect ? null : "Kein Hauptaspekt im ganzen Zeichen"
+      }));
+
+    if (format === "csv") {
+      const rangeLabel = year != null ? String(year) : `${formatDateISO(from)}_${formatDateISO(to)}`;
+      const byEnd = new Map(voidPeriods.map(v => [v.end.datetime_utc, v]));
+      const header = [
+        "Zeichen", "m/w", "Ingress (UTC)", "Ingress (Ortszeit)",
+        "Void of Course ab (UTC)", "Void of Course ab (Ortszeit)", "Dauer (h)", "Letzter Aspekt"
+      ];
+      const rows = ingresses.map(x => {
+        const v = byEnd.get(x.datetime_utc) || null;
+        return [
+          x.sign, x.sex, x.datetime_utc, x.datetime_local ?? null,
+          v ? v.start.datetime_utc : null,
+          v ? v.start.datetime_local ?? null : null,
+          v ? v.durationHours : null,
+          v && v.lastAspect ? `${v.lastAspect.aspect} ${v.lastAspect.planet}` : v ? v.info : null
+        ];
+      });
+      return sendCsv(res, `mond-void-of-course-${rangeLabel}.csv`, buildCsv(header, rows));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      year,
+      range: { from: formatDateISO(from), to: formatDateISO(to) },
+      meta: {
+        timeBasis: "UTC",
+        timeZone: zone ? zone.name : null,
+        planets: PLANET_SETS[planetSet],
+        aspects: ASPECTS.map(a => `${a.name} (${a.angle}°)`).join(", "),
+        ephemeris: {
+          ...buildEphemerisMeta([...epheMoon.types, ...epheSun.types], from, to),
+          moon: epheMoon.label,
+          planets: epheSun.label
+        }
+      },
+      counts: {
+        ingress: ingresses.length,
+        voidOfCourse: voidPeriods.length
+      },
+      ingresses,
+      voidOfCourse: voidPeriods
+    });
+  } catch (e) {
+    console.error("Mond-Void-of-Course-Fehler:", e);
+    return res.status(500).json({
+      ok: false,
+      error: String(e)
+    });
+  } finally {
+    try { swe.close(); } catch (_) {}
+  }
+}
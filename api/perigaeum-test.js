@@ -19,6 +19,15 @@ export default async function handler(req, res) {
     // Beispiel: Position der Venus (nur als Test)
     const result = swe.calc_ut(tjd, swe.SE_VENUS, swe.SEFLG_SWIEPH);
 
+    // format=csv: eine Zeile (Semikolon, Dezimalkomma, UTF-8 mit BOM für Excel)
+    if (String(req.query?.format || "").toLowerCase() === "csv") {
+      const header = ["tjd", "Länge", "Breite", "Distanz", "Speed Länge", "Speed Breite", "Speed Distanz"];
+      const row = [tjd, ...Array.from(result).slice(0, 6)].map((v) => String(v).replace(".", ","));
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="perigaeum-test.csv"');
+      return res.status(200).send("\uFEFF" + header.join(";") + "\r\n" + row.join(";") + "\r\n");
+    }
+
     res.status(200).json({ ok: true, tjd, result });
   } catch (e) {
     res.status(500).json({ ok: false, error: String(e) });
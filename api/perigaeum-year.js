@@ -1,37 +1,103 @@
 // api/perigaeum-year.js
-// Jahres-Perigäum-Rechner (Datum, deutsch, UTC)
+// Jahres-Perigäum-/Apogäum-Rechner (Datum, deutsch, UTC)
 //
-// - Sonne: Erd-Perihel = Minimum der Sonnen-Distanz im Kalenderjahr
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS). Ereignisse nahe den Rändern werden über die Puffer (Retro/Chiron) gefunden.
+//
+// - Sonne: Erd-Perihel = lokales Minimum der Sonnen-Distanz im Zeitraum
+//          Erd-Aphel   = lokales Maximum der Sonnen-Distanz im Zeitraum
 // - Merkur–Pluto: pro rückläufiger Phase genau 1 Perigäum (Distanzminimum)
+//   -> Apogäum: pro direktläufiger Phase (zwischen zwei Retro-Fenstern) genau 1 Distanzmaximum
+//      (äußere Planeten: um die Konjunktion mit der Sonne, Merkur/Venus: obere Konjunktion)
 // - Chiron: Sonderfall (geozentrische Distanz sauber erzwingen):
 //   -> Distanz wird NICHT aus pos[2] genommen, sondern aus heliozentrischen XYZ-Vektoren:
 //      Dist(Erde, Chiron) = |r_chiron(hel) - r_erde(hel)|
 //   -> Suche globales Distanzminimum im erweiterten Fenster (Jahr ± Pad).
 //   -> Nur wenn das Minimum IM Kalenderjahr liegt, wird es als Perigäum ausgegeben.
+//      (Längere Zeiträume werden dafür in Jahresabschnitte zerlegt.)
 //   -> Sonst: "Kein Perigäum in diesem Jahr".
+//   -> Apogäum analog: globales Distanzmaximum im selben Fenster ("Kein Apogäum in diesem Jahr").
+//
+// Körperauswahl: bodies=mars,venus (Teilmenge) oder bodies=standard,ceres,eris (ergänzen).
+// - Asteroiden/Zwergplaneten (Ceres, Pallas, Juno, Vesta, Pholus, Eris): Modus AUTO
+//   -> Distanz wie bei Chiron aus XYZ; mit Retro-Fenstern wie Planeten, sonst globale Suche.
+// - Mondknoten/Lilith: berechnete Punkte ohne physische Distanz -> kein Perigäum (Hinweis).
+// - Fehlende Ephemeridendateien (seas_*, ast*/se*.se1) werden pro Körper klar benannt.
+//
+// Jedes Ereignis enthält neben "datum" die exakte Zeit (ISO/UTC, minutengenau), JD,
+// Distanz (AU/km), ekliptikale Länge (Zeichen/Grad/Minute) und das Retro-Flag.
+// Perigäen der Planeten/Asteroiden zusätzlich: Elongation zur Sonne und die zugehörige
+// Opposition (äußere Körper) bzw. untere Konjunktion (Merkur/Venus) mit Zeitabstand.
+//
+// Rangliste: jedes Perigäum wird mit den Perigäen desselben Körpers ±RANK_SPAN_YEARS verglichen
+// (Rang, Perzentil, näheres Perigäum zuletzt/wieder in welchem Jahr). Die Vergleichsreihe wird
+// pro Körper nur einmal berechnet: ausgehend vom gefundenen Perigäum jeweils eine Periode
+// (cycleDays) weiterspringen und dort grob (1 % der Periode) + Golden-Section verfeinern.
+//
+// Ausgabe: format=json (Standard) oder format=ics (iCalendar, ein VEVENT pro Perigäum/Apogäum,
+// stabile UID pro Körper + Tag, damit ein erneuter Import Termine aktualisiert).
+// format=csv: eine Zeile pro Ereignis (Körper ohne Ereignis: eine Zeile mit Hinweis).
+//
+// Ephemeride: Dateien aus api/ephe (sepl_18/seas_18 = 1800–2400, weitere Dateien können
+// dazugelegt werden); fehlt eine Datei, rechnet SwissEph für Planeten mit Moshier.
+// Die tatsächlich benutzte Ephemeride + Genauigkeit steht in der Antwort.
+// Datum vor 15.10.1582: julianischer Kalender.
 //
 // Produktionsversion (ohne DEBUG-Ausgaben).
 
 import SwissEph from "swisseph-wasm";
 import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { icsUid, buildIcs, sendIcs } from "./_lib/ics.js";
+import { norm360, formatZodiacPos } from "./_lib/zodiac.js";
+import { normalizeCalcUtResult, makeCalc, explainCalcError } from "./_lib/calc.js";
+import { goldenMin, findRetroWindows } from "./_lib/search.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
 
-const BUILD_ID = "2025-12-20-CHIRON-FIX-GEOXYZ-PROD-1";
+const BUILD_ID = "2026-10-19-CSV-EXPORT-PROD-1";
 
 export const config = { runtime: "nodejs" };
 
+const AU_KM = 149597870.7;
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 3 * 366; // ca. 3 Jahre pro Anfrage (Serverless-Laufzeit)
+const RANK_SPAN_YEARS = 50;      // Vergleichszeitraum der Rangliste (± Jahre)
+
+// Standardauswahl (ohne bodies-Parameter bzw. bodies=standard)
+// cycleDays = mittlerer Abstand zweier Perigäen (synodische Periode; Sonne: anomalistisches Jahr)
 const BODIES = [
-  { id: "SE_SUN",     name: "Sonne",   mode: "SUN"   },
-  { id: "SE_MERCURY", name: "Merkur",  mode: "RETRO" },
-  { id: "SE_VENUS",   name: "Venus",   mode: "RETRO" },
-  { id: "SE_MARS",    name: "Mars",    mode: "RETRO" },
-  { id: "SE_JUPITER", name: "Jupiter", mode: "RETRO" },
-  { id: "SE_SATURN",  name: "Saturn",  mode: "RETRO" },
-  { id: "SE_CHIRON",  name: "Chiron",  mode: "CHIRON_GLOBAL" },
-  { id: "SE_URANUS",  name: "Uranus",  mode: "RETRO" },
-  { id: "SE_NEPTUNE", name: "Neptun",  mode: "RETRO" },
-  { id: "SE_PLUTO",   name: "Pluto",   mode: "RETRO" }
+  { key: "sonne",   id: "SE_SUN",     name: "Sonne",   mode: "SUN",           cycleDays: 365.26 },
+  { key: "merkur",  id: "SE_MERCURY", name: "Merkur",  mode: "RETRO",         cycleDays: 115.88 },
+  { key: "venus",   id: "SE_VENUS",   name: "Venus",   mode: "RETRO",         cycleDays: 583.92 },
+  { key: "mars",    id: "SE_MARS",    name: "Mars",    mode: "RETRO",         cycleDays: 779.94 },
+  { key: "jupiter", id: "SE_JUPITER", name: "Jupiter", mode: "RETRO",         cycleDays: 398.88 },
+  { key: "saturn",  id: "SE_SATURN",  name: "Saturn",  mode: "RETRO",         cycleDays: 378.09 },
+  { key: "chiron",  id: "SE_CHIRON",  name: "Chiron",  mode: "CHIRON_GLOBAL", cycleDays: 372.6  },
+  { key: "uranus",  id: "SE_URANUS",  name: "Uranus",  mode: "RETRO",         cycleDays: 369.66 },
+  { key: "neptun",  id: "SE_NEPTUNE", name: "Neptun",  mode: "RETRO",         cycleDays: 367.49 },
+  { key: "pluto",   id: "SE_PLUTO",   name: "Pluto",   mode: "RETRO",         cycleDays: 366.73 }
+];
+
+// Zusätzlich wählbar (ast = Asteroidennummer, SE_AST_OFFSET + Nummer)
+const EXTRA_BODIES = [
+  { key: "ceres",             id: "SE_CERES",     name: "Ceres",               mode: "AUTO",  cycleDays: 466.6 },
+  { key: "pallas",            id: "SE_PALLAS",    name: "Pallas",              mode: "AUTO",  cycleDays: 466.4 },
+  { key: "juno",              id: "SE_JUNO",      name: "Juno",                mode: "AUTO",  cycleDays: 474.0 },
+  { key: "vesta",             id: "SE_VESTA",     name: "Vesta",               mode: "AUTO",  cycleDays: 504.0 },
+  { key: "pholus",            id: "SE_PHOLUS",    name: "Pholus",              mode: "AUTO",  cycleDays: 369.3 },
+  { key: "eris",              ast: 136199,        name: "Eris",                mode: "AUTO",  cycleDays: 365.9 },
+  { key: "mondknoten-wahr",   id: "SE_TRUE_NODE", name: "Mondknoten (wahr)",   mode: "POINT" },
+  { key: "mondknoten-mittel", id: "SE_MEAN_NODE", name: "Mondknoten (mittel)", mode: "POINT" },
+  { key: "lilith",            id: "SE_MEAN_APOG", name: "Lilith (mittel)",     mode: "POINT" },
+  { key: "lilith-wahr",       id: "SE_OSCU_APOG", name: "Lilith (wahr)",       mode: "POINT" }
 ];
 
+const ALL_BODIES = [...BODIES, ...EXTRA_BODIES];
+
 // ---------------- CORS ----------------
 function setCorsHeaders(req, res) {
   const origin = req.headers.origin || "";
@@ -41,60 +107,71 @@ function setCorsHeaders(req, res) {
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
 }
 
-// --------------- Datum helpers (UTC) ---------------
-function jdToCalendar(jd) {
-  const Z = Math.floor(jd + 0.5);
-  const F = jd + 0.5 - Z;
-
-  let A = Z;
-  if (Z >= 2299161) {
-    const alpha = Math.floor((Z - 1867216.25) / 36524.25);
-    A = Z + 1 + alpha - Math.floor(alpha / 4);
-  }
+// ---------------- Winkel + Rundung ----------------
+// signed diff a - b in degrees, wrapped to [-180..+180]
+function signedDiffDeg(a, b) {
+  let d = norm360(a - b);
+  if (d > 180) d -= 360;
+  return d;
+}
 
-  const B = A + 1524;
-  const C = Math.floor((B - 122.1) / 365.25);
-  const D = Math.floor(365.25 * C);
-  const E = Math.floor((B - D) / 30.6001);
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
 
-  const dayFloat = B - D - Math.floor(30.6001 * E) + F;
-  const day = Math.floor(dayFloat + 1e-6);
+// ---------------- Körperauswahl ----------------
+// bodies: kommagetrennt (GET) oder Array (POST); "standard" = BODIES
+function parseBodiesParam(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+  const keys = list.map((k) => String(k).trim().toLowerCase()).filter(Boolean);
+  if (keys.length === 0) return { bodies: BODIES };
 
-  const month = (E < 14) ? (E - 1) : (E - 13);
-  const year = (month > 2) ? (C - 4716) : (C - 4715);
+  const bodies = [];
+  const unknown = [];
+  const add = (b) => { if (!bodies.includes(b)) bodies.push(b); };
 
-  return { year, month, day };
-}
+  for (const k of keys) {
+    if (k === "standard") {
+      BODIES.forEach(add);
+      continue;
+    }
+    const body = ALL_BODIES.find((b) => b.key === k || b.name.toLowerCase() === k);
+    if (body) add(body);
+    else unknown.push(k);
+  }
 
-function formatDateDE({ year, month, day }) {
-  const dd = String(day).padStart(2, "0");
-  const mm = String(month).padStart(2, "0");
-  return `${dd}.${mm}.${year}`;
+  if (unknown.length > 0) {
+    return {
+      error: `Unbekannte Körper: ${unknown.join(", ")}. Erlaubt: standard, ${ALL_BODIES.map((b) => b.key).join(", ")}.`
+    };
+  }
+  return { bodies };
 }
 
-// ---------------- Golden section minimum ----------------
-function goldenMin(f, a, b, tolDays) {
-  const gr = (Math.sqrt(5) - 1) / 2;
-  let c = b - gr * (b - a);
-  let d = a + gr * (b - a);
-  let fc = f(c);
-  let fd = f(d);
-
-  for (let it = 0; it < 80; it++) {
-    if ((b - a) <= tolDays) break;
-    if (fd < fc) {
-      a = c; c = d; fc = fd;
-      d = a + gr * (b - a);
-      fd = f(d);
-    } else {
-      b = d; d = c; fd = fc;
-      c = b - gr * (b - a);
-      fc = f(c);
+function resolveBodyId(swe, body) {
+  if (body.ast != null) {
+    if (typeof swe.SE_AST_OFFSET !== "number") {
+      throw new Error("SE_AST_OFFSET Konstante fehlt (SwissEph-Version/Build prüfen).");
     }
+    return swe.SE_AST_OFFSET + body.ast;
+  }
+  const bodyId = swe[body.id];
+  if (typeof bodyId !== "number") {
+    throw new Error(`Unbekannte SwissEph-Konstante: ${body.id}`);
   }
-  return (a + b) / 2;
+  return bodyId;
 }
 
+// fileIndex für get_current_file_data: 0 = Planeten, 1 = Mond, 2 = Hauptasteroiden, 3 = Einzelasteroid
+function epheFileIndex(body, mode) {
+  if (body.ast != null) return 3;
+  if (mode === "POINT") return 1;
+  if (mode === "CHIRON_GLOBAL" || mode === "AUTO") return 2;
+  return 0;
+}
+
+// ---------------- Distanz-Extrema (Goldener Schnitt) ----------------
 function minDistanceInWindow(getDist, a, b) {
   const coarseStep = 0.25; // 6h
   let bestJd = a;
@@ -142,48 +219,253 @@ function globalMinWithPad(getDist, jdYearStart, jdYearEnd, padDays) {
   return { jdMin, inYear };
 }
 
-// ---------------- SwissEph access ----------------
-function normalizeCalcUtResult(raw) {
-  if (!raw) return null;
-  if (Array.isArray(raw) || ArrayBuffer.isView(raw)) return raw;
-  if (raw.data && (Array.isArray(raw.data) || ArrayBuffer.isView(raw.data))) return raw.data;
-  return null;
+// Maxima = Minima der negierten Distanz (gleiche Suche, gleiche Toleranzen)
+function maxDistanceInWindow(getDist, a, b) {
+  return minDistanceInWindow((jd) => -getDist(jd), a, b);
 }
 
-function makeCalc(swe, bodyId) {
-  const flags = swe.SEFLG_SWIEPH | swe.SEFLG_SPEED;
+function globalMaxWithPad(getDist, jdYearStart, jdYearEnd, padDays) {
+  const { jdMin: jdMax, inYear } = globalMinWithPad((jd) => -getDist(jd), jdYearStart, jdYearEnd, padDays);
+  return { jdMax, inYear };
+}
 
-  function safeCalcUt(jd) {
-    let raw;
-    try {
-      raw = swe.calc_ut(jd, bodyId, flags);
-    } catch (e) {
-      throw new Error(`calc_ut Exception: ${String(e?.message || e)}`);
+// Für die Sonne: lokale Minima per Trendwechsel (Tagesraster), damit Perihel/Aphel
+// auch in beliebigen Zeiträumen nicht am Fensterrand "gefunden" werden.
+function localMinimaInWindow(getDist, a, b) {
+  const step = 1.0;
+  const tol = 1 / 1440; // 1 Minute
+  const minima = [];
+
+  let prev = getDist(a);
+  let prevTrend = null;
+
+  for (let jd = a + step; jd <= b + 1e-9; jd += step) {
+    const cur = getDist(jd);
+    const trend = cur > prev ? +1 : -1;
+
+    if (prevTrend === -1 && trend === +1) {
+      minima.push(goldenMin(getDist, Math.max(a, jd - 2 * step), jd, tol));
     }
 
-    const pos = normalizeCalcUtResult(raw);
-    if (!pos || typeof pos.length !== "number" || pos.length < 4) {
-      throw new Error("calc_ut lieferte kein gültiges Array/TypedArray");
+    prevTrend = trend;
+    prev = cur;
+  }
+  return minima;
+}
+
+function localMaximaInWindow(getDist, a, b) {
+  return localMinimaInWindow((jd) => -getDist(jd), a, b);
+}
+
+// Zeitraum in Jahresabschnitte zerlegen (Chiron-Globalsuche arbeitet jahresweise)
+function splitIntoYearSlices(jdStart, jdEnd) {
+  const slices = [];
+  for (let a = jdStart; a < jdEnd; a += 366) {
+    slices.push([a, Math.min(jdEnd, a + 366)]);
+  }
+  return slices;
+}
+
+// ---------------- SwissEph access ----------------
+// Ereignis-Details zum (bereits verfeinerten) Zeitpunkt jd.
+// getDist wird übergeben, damit Chiron seine XYZ-Distanz behält.
+function describeEvent(jd, calc, getDist) {
+  const distAU = getDist(jd);
+  const { lon, speed } = calc.getLonAndSpeed(jd);
+  const pos = formatZodiacPos(lon);
+
+  return {
+    datum: formatDateDE(jdToCalendar(jd)),
+    datetime_utc: jdToIsoUtc(jd),
+    jd: round(jd, 6),
+    distAU: round(distAU, 8),
+    distKm: Math.round(distAU * AU_KM),
+    lon: round(lon, 4),
+    sign: pos.sign,
+    deg: pos.deg,
+    min: pos.min,
+    posText: pos.text,
+    retro: speed < 0
+  };
+}
+
+// ---------------- Sonnen-Bezug (Opposition / untere Konjunktion) ----------------
+const RAD = Math.PI / 180;
+
+// Merkur/Venus: Perigäum nahe der unteren Konjunktion (Δλ = 0°), sonst nahe der Opposition (Δλ = 180°)
+function sunAspectFor(body) {
+  if (body.key === "merkur" || body.key === "venus") {
+    return { type: "Untere Konjunktion", targetDeg: 0 };
+  }
+  return { type: "Opposition", targetDeg: 180 };
+}
+
+// Geozentrischer Winkelabstand Körper–Sonne (ekliptikale Länge/Breite)
+function elongationDeg(a, b) {
+  const cosE =
+    Math.sin(a.lat * RAD) * Math.sin(b.lat * RAD) +
+    Math.cos(a.lat * RAD) * Math.cos(b.lat * RAD) * Math.cos((a.lon - b.lon) * RAD);
+  return Math.acos(Math.max(-1, Math.min(1, cosE))) / RAD;
+}
+
+// Nächster Zeitpunkt um jdNear mit λ(Körper) − λ(Sonne) = targetDeg (Bisektion auf 1 Minute)
+function findSunAspectNear(calc, sunCalc, targetDeg, jdNear) {
+  const searchDays = 40; // Merkur: halbe synodische Periode ca. 58 Tage
+  const step = 0.5;
+  const tol = 1 / 1440; // 1 Minute
+  const f = (jd) => signedDiffDeg(calc.getLonLat(jd).lon - sunCalc.getLonLat(jd).lon, targetDeg);
+
+  let best = null;
+  let prevJd = jdNear - searchDays;
+  let prev = f(prevJd);
+
+  for (let jd = prevJd + step; jd <= jdNear + searchDays + 1e-9; jd += step) {
+    const cur = f(jd);
+
+    // Vorzeichenwechsel ohne ±180°-Sprung = echte Nullstelle
+    if (prev * cur <= 0 && Math.abs(prev - cur) < 90) {
+      let a = prevJd;
+      let b = jd;
+      let fa = prev;
+      while ((b - a) > tol) {
+        const m = (a + b) / 2;
+        const fm = f(m);
+        if (fa * fm <= 0) {
+          b = m;
+        } else {
+          a = m;
+          fa = fm;
+        }
+      }
+      const root = (a + b) / 2;
+      if (best == null || Math.abs(root - jdNear) < Math.abs(best - jdNear)) best = root;
     }
-    return pos;
+
+    prevJd = jd;
+    prev = cur;
   }
+  return best;
+}
+
+// Elongation am Perigäum + zugehörige Opposition/untere Konjunktion
+function describeSunContext(jd, calc, sunCalc, aspect) {
+  const elong = elongationDeg(calc.getLonLat(jd), sunCalc.getLonLat(jd));
+  const jdAspect = findSunAspectNear(calc, sunCalc, aspect.targetDeg, jd);
 
   return {
-    getDist(jd) {
-      const pos = safeCalcUt(jd);
-      const d = pos[2];
-      if (!Number.isFinite(d) || d <= 0) throw new Error(`Ungültige Distanz: ${String(d)}`);
-      return d;
-    },
-    getLonSpeed(jd) {
-      const pos = safeCalcUt(jd);
-      const sp = pos[3];
-      if (!Number.isFinite(sp)) throw new Error(`Ungültige Speed: ${String(sp)}`);
-      return sp;
+    elongationDeg: round(elong, 2),
+    sunAspect: jdAspect == null ? null : {
+      type: aspect.type,
+      datum: formatDateDE(jdToCalendar(jdAspect)),
+      datetime_utc: jdToIsoUtc(jdAspect),
+      jd: round(jdAspect, 6),
+      // > 0: Perigäum liegt nach Opposition/Konjunktion
+      offsetHours: round((jd - jdAspect) * 24, 1)
     }
   };
 }
 
+// ---------------- Rangliste gegen benachbarte Jahrzehnte ----------------
+// Schnelle Minimumsuche für die Vergleichsreihe: grobes Raster (step) + Golden-Section
+function seriesMinInWindow(getDist, a, b, step) {
+  let bestJd = a;
+  let bestD = getDist(a);
+
+  for (let jd = a + step; jd <= b + 1e-9; jd += step) {
+    const d = getDist(jd);
+    if (d < bestD) {
+      bestD = d;
+      bestJd = jd;
+    }
+  }
+
+  const left  = Math.max(a, bestJd - 1.5 * step);
+  const right = Math.min(b, bestJd + 1.5 * step);
+  return goldenMin(getDist, left, right, 1 / 1440);
+}
+
+// Perigäen eines Körpers in [jdFrom, jdTo], ausgehend von einem bekannten Perigäum (jdSeed):
+// je eine Periode weiter springen und im Fenster ±30 % der Periode das Minimum suchen
+// (Raster = 1 % der Periode: Merkur ~1 Tag, äußere Planeten ~3,7 Tage).
+// Bricht eine Richtung ab (Randtreffer, fehlende Ephemeride), endet die Reihe dort.
+function perigeeSeries(getDist, jdSeed, cycleDays, jdFrom, jdTo) {
+  const half = 0.3 * cycleDays;
+  const step = cycleDays / 100;
+  const series = [{ jd: jdSeed, dist: getDist(jdSeed) }];
+
+  for (const dir of [-1, 1]) {
+    let last = jdSeed;
+
+    while (true) {
+      const guess = last + dir * cycleDays;
+      if (dir < 0 ? guess < jdFrom : guess > jdTo) break;
+
+      const a = guess - half;
+      const b = guess + half;
+      let jd;
+      try {
+        jd = seriesMinInWindow(getDist, a, b, step);
+      } catch (_) {
+        break;
+      }
+      if (jd - a < step || b - jd < step) break; // kein echtes Minimum im Fenster
+
+      series.push({ jd, dist: getDist(jd) });
+      last = jd;
+    }
+  }
+
+  return series.sort((x, y) => x.jd - y.jd);
+}
+
+// Rang/Perzentil eines Perigäums innerhalb ±spanDays der Vergleichsreihe
+function rankPerigee(jd, series, spanDays, cycleDays) {
+  const window = series.filter((e) => Math.abs(e.jd - jd) <= spanDays);
+
+  // Eigener Eintrag = nächster Reihenwert (identisches Minimum, nur getrennt verfeinert)
+  let self = null;
+  for (const e of window) {
+    if (Math.abs(e.jd - jd) < cycleDays / 4 && (self == null || Math.abs(e.jd - jd) < Math.abs(self.jd - jd))) {
+      self = e;
+    }
+  }
+  if (!self) return null;
+
+  const others = window.filter((e) => e !== self);
+  const closer = others.filter((e) => e.dist < self.dist);
+  const farther = others.filter((e) => e.dist > self.dist);
+
+  const closerBefore = closer.filter((e) => e.jd < self.jd).pop() || null;
+  const closerAfter = closer.find((e) => e.jd > self.jd) || null;
+
+  const rank = closer.length + 1;
+  const percentile = others.length > 0 ? round((farther.length / others.length) * 100, 1) : null;
+
+  const yearOf = (e) => jdToCalendar(e.jd).year;
+  const coveredFrom = yearOf(window[0]);
+  const coveredTo = yearOf(window[window.length - 1]);
+  const closerSinceYear = closerBefore ? yearOf(closerBefore) : null;
+  const closerUntilYear = closerAfter ? yearOf(closerAfter) : null;
+
+  const sinceText = closerSinceYear != null
+    ? `näher zuletzt ${closerSinceYear}`
+    : `das nächste seit mindestens ${coveredFrom}`;
+  const untilText = closerUntilYear != null
+    ? `wieder näher ${closerUntilYear}`
+    : `kein näheres bis mindestens ${coveredTo}`;
+
+  return {
+    compared: window.length,
+    coveredFrom,
+    coveredTo,
+    rank,
+    percentile,
+    closerSinceYear,
+    closerUntilYear,
+    text: `Rang ${rank} von ${window.length} (${coveredFrom}–${coveredTo}); ${sinceText}, ${untilText}`
+  };
+}
+
 // --- FIX: Geozentrische Distanz via heliozentrische XYZ-Vektoren erzwingen ---
 function makeGeoDistFromHelioXYZ(swe, bodyId) {
   const flagsXYZHel =
@@ -233,57 +515,132 @@ function makeGeoDistFromHelioXYZ(swe, bodyId) {
   };
 }
 
-// Retro-Fenster (Hysterese)
-function findRetroWindows(getLonSpeed, jdStart, jdEnd) {
-  const step = 0.125; // 3h
-  const need = 3;     // 9h Stabilität
-  const epsSpeed = 1e-6;
+// Perigäum je Retro-Fenster, Apogäum je Direktlauf-Fenster (jd-Listen, ungefiltert)
+function extremaFromRetroWindows(getDist, windows, jdCalcStart, jdCalcEnd) {
+  const jdMins = windows.map(([a0, b0]) => minDistanceInWindow(getDist, a0, b0));
+  const jdMaxs = directWindowsFromRetro(windows, jdCalcStart, jdCalcEnd)
+    .map(([a0, b0]) => maxDistanceInWindow(getDist, a0, b0));
+  return { jdMins, jdMaxs };
+}
+
+// Globale Extrema jahresweise mit Pad (Chiron-Logik); nur Treffer im jeweiligen Abschnitt
+function extremaGlobalBySlices(getDist, jdRangeStart, jdRangeEnd, padDays) {
+  const jdMins = [];
+  const jdMaxs = [];
+
+  for (const [sliceStart, sliceEnd] of splitIntoYearSlices(jdRangeStart, jdRangeEnd)) {
+    const { jdMin, inYear } = globalMinWithPad(getDist, sliceStart, sliceEnd, padDays);
+    if (inYear) jdMins.push(jdMin);
 
+    const { jdMax, inYear: maxInYear } = globalMaxWithPad(getDist, sliceStart, sliceEnd, padDays);
+    if (maxInYear) jdMaxs.push(jdMax);
+  }
+  return { jdMins, jdMaxs };
+}
+
+// Direktlauf-Fenster = Lücken zwischen den Retro-Fenstern (inkl. Ränder des Suchbereichs)
+function directWindowsFromRetro(retroWindows, jdStart, jdEnd) {
   const windows = [];
-  let inRetro = false;
-  let startJd = null;
-  let retroStreak = 0;
-  let directStreak = 0;
+  let cursor = jdStart;
 
-  for (let jd = jdStart; jd <= jdEnd + 1e-9; jd += step) {
-    const curJd = Math.min(jd, jdEnd);
-    const sp = getLonSpeed(curJd);
+  for (const [a, b] of retroWindows) {
+    if (a > cursor) windows.push([cursor, a]);
+    cursor = Math.max(cursor, b);
+  }
+  if (jdEnd > cursor) windows.push([cursor, jdEnd]);
 
-    if (Math.abs(sp) <= epsSpeed) {
-      if (curJd >= jdEnd) break;
-      continue;
-    }
+  return windows.filter(([a, b]) => (b - a) > 1.0);
+}
 
-    const isRetro = sp < 0;
+function dedupeByDatum(list) {
+  const seen = new Set();
+  return list.filter((p) => {
+    if (seen.has(p.datum)) return false;
+    seen.add(p.datum);
+    return true;
+  });
+}
 
-    if (isRetro) {
-      retroStreak++;
-      directStreak = 0;
-    } else {
-      directStreak++;
-      retroStreak = 0;
+// ---------------- iCalendar (RFC 5545) ----------------
+// Perigäen/Apogäen aller Körper -> VEVENTs
+function icsEventsFromBodies(bodies) {
+  const events = [];
+  const day = (ev) => ev.datetime_utc.slice(0, 10).replace(/-/g, "");
+
+  const describe = (ev) => {
+    const lines = [
+      `${ev.posText}${ev.retro ? " (rückläufig)" : ""}`,
+      `Distanz: ${ev.distKm.toLocaleString("de-DE")} km (${ev.distAU} AU)`
+    ];
+    if (ev.sunAspect) {
+      lines.push(`${ev.sunAspect.type}: ${ev.sunAspect.datum} (${ev.sunAspect.offsetHours} h Abstand)`);
     }
+    if (ev.elongationDeg != null) lines.push(`Elongation: ${ev.elongationDeg}°`);
+    if (ev.ranking) lines.push(ev.ranking.text);
+    return lines.join("\n");
+  };
 
-    if (!inRetro && retroStreak >= need) {
-      inRetro = true;
-      startJd = curJd - step * (need + 1);
-      if (startJd < jdStart) startJd = jdStart;
+  for (const b of bodies) {
+    for (const p of b.perigees) {
+      events.push({
+        uid: icsUid("perigaeum", b.key, day(p)),
+        start: p.datetime_utc,
+        summary: `Perigäum ${b.body}`,
+        description: describe(p)
+      });
     }
-
-    if (inRetro && directStreak >= need) {
-      inRetro = false;
-      windows.push([startJd, curJd]);
-      startJd = null;
+    for (const a of b.apogees) {
+      events.push({
+        uid: icsUid("apogaeum", b.key, day(a)),
+        start: a.datetime_utc,
+        summary: `Apogäum ${b.body}`,
+        description: describe(a)
+      });
     }
-
-    if (curJd >= jdEnd) break;
   }
 
-  if (inRetro && startJd != null) {
-    windows.push([startJd, jdEnd]);
+  return events.sort((x, y) => x.start.localeCompare(y.start));
+}
+
+// ---------------- CSV (Excel, deutsch) ----------------
+const CSV_HEADER = [
+  "Körper", "Ereignis", "Datum", "Zeit (UTC)", "JD", "Distanz (AU)", "Distanz (km)",
+  "Länge", "Zeichen", "Grad", "Minute", "Position", "Rückläufig",
+  "Elongation (°)", "Sonnenbezug", "Sonnenbezug Zeit (UTC)", "Abstand (h)",
+  "Rang", "Verglichen", "Perzentil", "Näher zuletzt", "Wieder näher",
+  "Ephemeride", "Hinweis"
+];
+
+function csvRowsFromBodies(bodies) {
+  const rows = [];
+
+  for (const b of bodies) {
+    const groups = [
+      { label: "Perigäum", list: b.perigees, info: b.info },
+      { label: "Apogäum", list: b.apogees, info: b.apogeeInfo }
+    ];
+
+    for (const g of groups) {
+      if (g.list.length === 0) {
+        rows.push([b.body, g.label, ...new Array(CSV_HEADER.length - 4).fill(null), b.ephemeris, g.info]);
+        continue;
+      }
+
+      for (const ev of g.list) {
+        const sa = ev.sunAspect || null;
+        const rk = ev.ranking || null;
+        rows.push([
+          b.body, g.label, ev.datum, ev.datetime_utc, ev.jd, ev.distAU, ev.distKm,
+          ev.lon, ev.sign, ev.deg, ev.min, ev.posText, ev.retro,
+          ev.elongationDeg ?? null, sa && sa.type, sa && sa.datetime_utc, sa && sa.offsetHours,
+          rk && rk.rank, rk && rk.compared, rk && rk.percentile, rk && rk.closerSinceYear, rk && rk.closerUntilYear,
+          b.ephemeris, null
+        ]);
+      }
+    }
   }
 
-  return windows.filter(([a, b]) => (b - a) > 1.0);
+  return rows;
 }
 
 export default async function handler(req, res) {
@@ -293,14 +650,31 @@ export default async function handler(req, res) {
   const swe = new SwissEph();
 
   try {
-    const yearParam =
-      (req.method === "GET" ? req.query.year : req.body?.year) ?? "";
-    const year = parseInt(yearParam, 10);
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
 
-    if (!Number.isFinite(year) || year < 1900 || year > 2050) {
+    if (range.error) {
       return res.status(400).json({
         ok: false,
-        error: "Bitte ein Jahr zwischen 1900 und 2050 angeben."
+        error: range.error
+      });
+    }
+
+    const { year, from, to } = range;
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (!["json", "ics", "csv"].includes(format)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json, ics oder csv)."
+      });
+    }
+
+    const selection = parseBodiesParam(params.bodies);
+    if (selection.error) {
+      return res.status(400).json({
+        ok: false,
+        error: selection.error
       });
     }
 
@@ -328,95 +702,173 @@ export default async function handler(req, res) {
       });
     }
 
-    // Exakt das Kalenderjahr (UTC)
-    const jdYearStart = swe.julday(year, 1, 1, 0.0, swe.SE_GREG_CAL);
-    const jdYearEnd   = swe.julday(year + 1, 1, 1, 0.0, swe.SE_GREG_CAL);
+    // Exakt der Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd   = calendarToJd(to.y, to.mo, to.d) + 1;
+    const inRange = (jd) => jd >= jdRangeStart && jd < jdRangeEnd;
 
-    // Puffer für Retro-Fenster über Jahreswechsel
+    // Puffer für Retro-Fenster über die Zeitraumgrenzen
     const padRetro = 20;
-    const jdCalcStart = jdYearStart - padRetro;
-    const jdCalcEnd   = jdYearEnd + padRetro;
+    const jdCalcStart = jdRangeStart - padRetro;
+    const jdCalcEnd   = jdRangeEnd + padRetro;
+
+    const periodLabel = year != null ? "in diesem Jahr" : "im gewählten Zeitraum";
+
+    const sunCalc = makeCalc(swe, swe.SE_SUN);
+
+    // Rangliste: Vergleichsreihe ±RANK_SPAN_YEARS um den Zeitraum (innerhalb MIN_YEAR..MAX_YEAR)
+    const rankSpanDays = RANK_SPAN_YEARS * 365.25;
+    const jdRankFrom = Math.max(jdRangeStart - rankSpanDays, calendarToJd(MIN_YEAR, 1, 1));
+    const jdRankTo   = Math.min(jdRangeEnd + rankSpanDays, calendarToJd(MAX_YEAR + 1, 1, 1));
+
+    const withRanking = (list, getDist, cycleDays) => {
+      if (list.length === 0 || !cycleDays) return list;
+      const series = perigeeSeries(getDist, list[0].jd, cycleDays, jdRankFrom, jdRankTo);
+      return list.map((p) => ({ ...p, ranking: rankPerigee(p.jd, series, rankSpanDays, cycleDays) }));
+    };
 
     const results = [];
     let totalCount = 0;
+    let totalApogeeCount = 0;
+    const usedEpheTypes = [];
+
+    for (const body of selection.bodies) {
+      // MODE robust normalisieren (trim/uppercase)
+      let mode = String(body.mode || "").trim().toUpperCase();
 
-    for (const body of BODIES) {
       try {
-        const bodyId = swe[body.id];
-        if (typeof bodyId !== "number") {
-          throw new Error(`Unbekannte SwissEph-Konstante: ${body.id}`);
-        }
+        const bodyId = resolveBodyId(swe, body);
 
         let perigees = [];
+        let apogees = [];
         let info = null;
+        let apogeeInfo = null;
 
-        // MODE robust normalisieren (trim/uppercase)
-        const mode = String(body.mode || "").trim().toUpperCase();
+        const fileIndex = epheFileIndex(body, mode);
+        const ephe = detectEphemerisRange(swe, jdCalcStart, jdCalcEnd, bodyId, fileIndex);
+        usedEpheTypes.push(...ephe.types);
 
-        if (mode === "SUN") {
-          const { getDist } = makeCalc(swe, bodyId);
-          const jdMin = minDistanceInWindow(getDist, jdYearStart, jdYearEnd);
-          perigees = [{ datum: formatDateDE(jdToCalendar(jdMin)) }];
+        // Pad größer, damit ein echtes Minimum zuverlässig im Suchfenster liegt
+        const padChiron = 400; // ± 400 Tage
 
-        } else if (mode === "CHIRON_GLOBAL") {
-          // CHIRON FIX: geozentrische Distanz via heliozentrische XYZ erzwingen
-          const geo = makeGeoDistFromHelioXYZ(swe, bodyId);
-          const getDist = (jd) => geo.getGeoDistAU(jd);
+        if (mode === "SUN") {
+          const calc = makeCalc(swe, bodyId);
+          const { getDist } = calc;
+
+          perigees = withRanking(
+            localMinimaInWindow(getDist, jdCalcStart, jdCalcEnd)
+              .filter(inRange)
+              .map((jd) => describeEvent(jd, calc, getDist)),
+            getDist,
+            body.cycleDays
+          );
+          apogees = localMaximaInWindow(getDist, jdCalcStart, jdCalcEnd)
+            .filter(inRange)
+            .map((jd) => describeEvent(jd, calc, getDist));
+
+          if (perigees.length === 0) info = `Kein Perigäum ${periodLabel}`;
+          if (apogees.length === 0) apogeeInfo = `Kein Apogäum ${periodLabel}`;
+
+        } else if (mode === "POINT") {
+          info = "Kein Perigäum: berechneter Bahnpunkt ohne physische Distanz zur Erde.";
+          apogeeInfo = "Kein Apogäum: berechneter Bahnpunkt ohne physische Distanz zur Erde.";
 
-          // Pad größer, damit ein echtes Minimum zuverlässig im Suchfenster liegt
-          const padChiron = 400; // ± 400 Tage
-          const { jdMin, inYear } = globalMinWithPad(getDist, jdYearStart, jdYearEnd, padChiron);
+        } else {
+          const calc = makeCalc(swe, bodyId);
+          let getDist = calc.getDist;
+          let extrema;
+
+          if (mode === "CHIRON_GLOBAL" || mode === "AUTO") {
+            // CHIRON FIX: geozentrische Distanz via heliozentrische XYZ erzwingen (auch für Asteroiden)
+            const geo = makeGeoDistFromHelioXYZ(swe, bodyId);
+            getDist = (jd) => geo.getGeoDistAU(jd);
+          }
 
-          if (inYear) {
-            perigees = [{ datum: formatDateDE(jdToCalendar(jdMin)) }];
+          if (mode === "CHIRON_GLOBAL") {
+            extrema = extremaGlobalBySlices(getDist, jdRangeStart, jdRangeEnd, padChiron);
           } else {
-            perigees = [];
-            info = "Kein Perigäum in diesem Jahr";
-          }
+            const windows = findRetroWindows(calc.getLonSpeed, jdCalcStart, jdCalcEnd);
 
-        } else {
-          const { getDist, getLonSpeed } = makeCalc(swe, bodyId);
-          const windows = findRetroWindows(getLonSpeed, jdCalcStart, jdCalcEnd);
-
-          for (const [a0, b0] of windows) {
-            const jdMin = minDistanceInWindow(getDist, a0, b0);
-            if (jdMin >= jdYearStart && jdMin < jdYearEnd) {
-              perigees.push({ datum: formatDateDE(jdToCalendar(jdMin)) });
-            }
-          }
+            // AUTO: mit Retro-Fenstern wie Planeten, sonst globale Suche wie Chiron
+            if (mode === "AUTO") mode = windows.length > 0 ? "RETRO" : "GLOBAL";
 
-          const seen = new Set();
-          perigees = perigees.filter((p) => {
-            if (seen.has(p.datum)) return false;
-            seen.add(p.datum);
-            return true;
-          });
+            extrema = mode === "GLOBAL"
+              ? extremaGlobalBySlices(getDist, jdRangeStart, jdRangeEnd, padChiron)
+              : extremaFromRetroWindows(getDist, windows, jdCalcStart, jdCalcEnd);
+          }
 
-          if (perigees.length === 0) info = "Kein Perigäum in diesem Jahr";
+          const aspect = sunAspectFor(body);
+          perigees = withRanking(
+            dedupeByDatum(
+              extrema.jdMins.filter(inRange).map((jd) => ({
+                ...describeEvent(jd, calc, getDist),
+                ...describeSunContext(jd, calc, sunCalc, aspect)
+              }))
+            ),
+            getDist,
+            body.cycleDays
+          );
+          apogees = dedupeByDatum(
+            extrema.jdMaxs.filter(inRange).map((jd) => describeEvent(jd, calc, getDist))
+          );
+
+          if (perigees.length === 0) info = `Kein Perigäum ${periodLabel}`;
+          if (apogees.length === 0) apogeeInfo = `Kein Apogäum ${periodLabel}`;
         }
 
         if (perigees.length > 0) totalCount += perigees.length;
+        if (apogees.length > 0) totalApogeeCount += apogees.length;
 
         results.push({
           body: body.name,
+          key: body.key,
+          mode,
           perigees,
-          info
+          apogees,
+          info,
+          apogeeInfo,
+          ephemeris: ephe.label
         });
 
       } catch (err) {
+        const msg = explainCalcError(err, body);
         results.push({
           body: body.name,
+          key: body.key,
+          mode,
           perigees: [],
-          info: `Berechnung nicht möglich: ${String(err?.message || err)}`
+          apogees: [],
+          info: msg,
+          apogeeInfo: msg,
+          ephemeris: null
         });
       }
     }
 
+    const rangeOut = { from: formatDateISO(from), to: formatDateISO(to) };
+
+    const label = year != null ? String(year) : `${rangeOut.from}_${rangeOut.to}`;
+
+    if (format === "csv") {
+      return sendCsv(res, `perigaeum-${label}.csv`, buildCsv(CSV_HEADER, csvRowsFromBodies(results)));
+    }
+
+    if (format === "ics") {
+      const calName = year != null
+        ? `Perigäen/Apogäen ${year}`
+        : `Perigäen/Apogäen ${rangeOut.from} bis ${rangeOut.to}`;
+      return sendIcs(res, `perigaeum-${label}.ics`, buildIcs("perigaeum-year", calName, icsEventsFromBodies(results)));
+    }
+
     return res.status(200).json({
       buildId: BUILD_ID,
       ok: true,
       year,
+      range: rangeOut,
+      rankSpanYears: RANK_SPAN_YEARS,
       totalCount,
+      totalApogeeCount,
+      ephemeris: buildEphemerisMeta(usedEpheTypes, from, to),
       bodies: results
     });
 
@@ -0,0 +1,323 @@
+// api/perihel-aphel.js
+// Heliozentrische Perihel-/Aphel-Termine rund um ein Datum (deutsch, UTC)
+//
+// GET/POST-Parameter:
+// - date=YYYY-MM-DD   (optional; Default: heute, UTC)
+// - format=json|csv   (optional; Default json, csv = eine Zeile pro Körper und Ereignis)
+//
+// Pro Körper: letztes und nächstes Perihel/Aphel relativ zum Datum.
+// - Heliozentrische Distanz aus XYZ-Vektoren (wie der Chiron-Fix in perigaeum-year).
+// - Suchfenster = 1¼ Umlaufzeiten vor bzw. nach dem Datum (Pluto ca. 310 Jahre,
+//   Chiron ca. 63 Jahre), Grobraster = Umlaufzeit / COARSE_STEPS; lokale Extrema der
+//   Distanz werden per Goldenem Schnitt auf 1 Minute verfeinert, genommen wird das
+//   nächste vor bzw. ab dem Datum.
+// - Die Erde (Mond) und äußere Planeten (Bewegung der Sonne um den Schwerpunkt, v.a.
+//   Neptun) "wackeln" um die Apsis; von Extrema innerhalb eines halben Umlaufs zählt
+//   nur das tiefste/höchste.
+//
+// Ephemeride: Dateien aus api/ephe (wie perigaeum-year), sonst Moshier (Chiron nur mit Datei).
+
+import SwissEph from "swisseph-wasm";
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseDateParam } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { normalizeCalcUtResult, explainCalcError } from "./_lib/calc.js";
+import { goldenMin } from "./_lib/search.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+
+export const config = { runtime: "nodejs" };
+
+const AU_KM = 149597870.7;
+
+// Moshier deckt ca. -3000..+3000 ab; Pluto braucht ± 310 Jahre um das Datum
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+
+// Suchfenster je Richtung in Umläufen: die nächste Apsis liegt höchstens einen Umlauf
+// entfernt, der Rest stellt sicher, dass auch ihre Nebenextrema im Fenster liegen
+const SEARCH_PERIODS = 1.25;
+
+// Grobraster pro Umlauf (Merkur: ca. 1,4 h, Pluto: ca. 60 Tage)
+const COARSE_STEPS = 1500;
+
+// periodDays = siderische Umlaufzeit
+const BODIES = [
+  { id: "SE_MERCURY", name: "Merkur",  periodDays: 87.969 },
+  { id: "SE_VENUS",   name: "Venus",   periodDays: 224.701 },
+  { id: "SE_EARTH",   name: "Erde",    periodDays: 365.256 },
+  { id: "SE_MARS",    name: "Mars",    periodDays: 686.98 },
+  { id: "SE_JUPITER", name: "Jupiter", periodDays: 4332.59 },
+  { id: "SE_SATURN",  name: "Saturn",  periodDays: 10759.22 },
+  { id: "SE_CHIRON",  name: "Chiron",  periodDays: 18517 },
+  { id: "SE_URANUS",  name: "Uranus",  periodDays: 30688.5 },
+  { id: "SE_NEPTUNE", name: "Neptun",  periodDays: 60182 },
+  { id: "SE_PLUTO",   name: "Pluto",   periodDays: 90560 }
+];
+
+// ---------------- CORS ----------------
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin || "";
+  res.setHeader("Access-Control-Allow-Origin", origin || "*");
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+}
+
+// ---------------- Rundung ----------------
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+// ---------------- Lokale Extrema (Goldener Schnitt) ----------------
+// Lokale Extrema im Fenster: Grobraster (Vorzeichenwechsel der Distanzänderung),
+// dann Goldener Schnitt auf 1 Minute. kind = "min" | "max"
+// Liegen mehrere Extrema näher als clusterDays beieinander ("Wackeln" um die Apsis),
+// zählt nur das tiefste/höchste davon.
+function localExtrema(getDist, a, b, step, kind, clusterDays) {
+  const f = kind === "min" ? getDist : (jd) => -getDist(jd);
+  const tol = 1 / 1440; // 1 Minute
+
+  const found = [];
+  let jdPrev = a;
+  let vPrev = f(a);
+  let jdCur = a + step;
+  let vCur = f(jdCur);
+
+  for (let jd = a + 2 * step; jd <= b + 1e-9; jd += step) {
+    const v = f(jd);
+    if (vCur <= vPrev && vCur < v) {
+      const jdMin = goldenMin(f, jdPrev, jd, tol);
+      found.push({ jd: jdMin, v: f(jdMin) });
+    }
+    jdPrev = jdCur; vPrev = vCur;
+    jdCur = jd; vCur = v;
+  }
+
+  const result = [];
+  for (const e of found) {
+    const last = result[result.length - 1];
+    if (last && e.jd - last.jd < clusterDays) {
+      if (e.v < last.v) result[result.length - 1] = e;
+    } else {
+      result.push(e);
+    }
+  }
+  return result.map((e) => e.jd);
+}
+
+// Letztes Extremum vor und nächstes ab jdDate (null, falls keines im Fenster)
+function nearestAround(extrema, jdDate) {
+  let last = null;
+  let next = null;
+  for (const jd of extrema) {
+    if (jd < jdDate) last = jd;
+    else if (next == null) next = jd;
+  }
+  return { last, next };
+}
+
+// ---------------- SwissEph access ----------------
+// Heliozentrische Distanz |r| aus XYZ (HELCTR)
+function makeHelioDist(swe, bodyId) {
+  const flagsXYZHel =
+    swe.SEFLG_SWIEPH |
+    swe.SEFLG_XYZ |
+    swe.SEFLG_HELCTR; // heliozentrisch, kartesisch
+
+  return {
+    getHelioDistAU(jd) {
+      let raw;
+      try {
+        raw = swe.calc_ut(jd, bodyId, flagsXYZHel);
+      } catch (e) {
+        throw new Error(`calc_ut(XYZ/HEL) Exception: ${String(e?.message || e)}`);
+      }
+
+      const pos = normalizeCalcUtResult(raw);
+      if (!pos || typeof pos.length !== "number" || pos.length < 3) {
+        throw new Error("calc_ut(XYZ/HEL) lieferte kein gültiges Array/TypedArray");
+      }
+
+      const d = Math.sqrt(pos[0] * pos[0] + pos[1] * pos[1] + pos[2] * pos[2]);
+      if (!Number.isFinite(d) || d <= 0) {
+        throw new Error(`Ungültige HEL-Distanz aus XYZ: ${String(d)}`);
+      }
+      return d;
+    }
+  };
+}
+
+function describeApsis(jd, getDist) {
+  if (jd == null) return null;
+  const distAU = getDist(jd);
+  return {
+    datum: formatDateDE(jdToCalendar(jd)),
+    datetime_utc: jdToIsoUtc(jd),
+    jd: round(jd, 6),
+    distAU: round(distAU, 8),
+    distKm: Math.round(distAU * AU_KM)
+  };
+}
+
+// ---------------- CSV (Excel, deutsch) ----------------
+const CSV_HEADER = [
+  "Körper", "Ereignis", "Datum", "Zeit (UTC)", "JD", "Distanz (AU)", "Distanz (km)",
+  "Umlaufzeit (Jahre)", "Ephemeride", "Hinweis"
+];
+
+function csvRowsFromBodies(bodies) {
+  const rows = [];
+
+  for (const b of bodies) {
+    const events = [
+      ["letztes Perihel", b.lastPerihelion],
+      ["nächstes Perihel", b.nextPerihelion],
+      ["letztes Aphel", b.lastAphelion],
+      ["nächstes Aphel", b.nextAphelion]
+    ];
+
+    for (const [label, ev] of events) {
+      rows.push([
+        b.body, label,
+        ev && ev.datum, ev && ev.datetime_utc, ev && ev.jd, ev && ev.distAU, ev && ev.distKm,
+        b.periodYears, b.ephemeris, b.info
+      ]);
+    }
+  }
+
+  return rows;
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(req, res);
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const swe = new SwissEph();
+
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (format !== "json" && format !== "csv") {
+      return res.status(400).json({ ok: false, error: "Parameter format ungültig (json oder csv)." });
+    }
+
+    let date;
+    if (params.date != null && String(params.date).trim() !== "") {
+      date = parseDateParam(params.date);
+      if (!date) {
+        return res.status(400).json({ ok: false, error: "Parameter date ungültig (YYYY-MM-DD)." });
+      }
+    } else {
+      const now = new Date();
+      date = { y: now.getUTCFullYear(), mo: now.getUTCMonth() + 1, d: now.getUTCDate() };
+    }
+
+    if (date.y < MIN_YEAR || date.y > MAX_YEAR) {
+      return res.status(400).json({
+        ok: false,
+        error: `Bitte ein Datum zwischen ${MIN_YEAR} und ${MAX_YEAR} angeben.`
+      });
+    }
+
+    await swe.initSwissEph();
+
+    if (typeof swe.calc_ut !== "function") {
+      return res.status(500).json({
+        ok: false,
+        error: "SwissEph init fehlgeschlagen (calc_ut nicht verfügbar). Prüfe Vercel Runtime (Node, nicht Edge)."
+      });
+    }
+
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    } else {
+      return res.status(500).json({
+        ok: false,
+        error: "SwissEph hat keine set_ephe_path/swe_set_ephe_path Methode. Paketversion prüfen."
+      });
+    }
+
+    const jdDate = calendarToJd(date.y, date.mo, date.d);
+
+    const results = [];
+    const usedEpheTypes = [];
+    let yearMin = date.y;
+    let yearMax = date.y;
+
+    for (const body of BODIES) {
+      try {
+        const bodyId = swe[body.id];
+        if (typeof bodyId !== "number") {
+          throw new Error(`Unbekannte SwissEph-Konstante: ${body.id}`);
+        }
+
+        const P = body.periodDays;
+        const step = P / COARSE_STEPS;
+        const jdBack = jdDate - P * SEARCH_PERIODS;
+        const jdAhead = jdDate + P * SEARCH_PERIODS;
+
+        const fileIndex = body.id === "SE_CHIRON" ? 2 : 0;
+        const ephe = detectEphemerisRange(swe, jdBack, jdAhead, bodyId, fileIndex);
+        usedEpheTypes.push(...ephe.types);
+
+        const { getHelioDistAU } = makeHelioDist(swe, bodyId);
+
+        // Apsiden liegen einen Umlauf auseinander; Nebenextrema um dieselbe Apsis
+        // (Mond bei der Erde, Sonnenbewegung bei Neptun) fallen in dasselbe halbe Umlauf-Fenster
+        const peri = nearestAround(localExtrema(getHelioDistAU, jdBack, jdAhead, step, "min", P / 2), jdDate);
+        const aph  = nearestAround(localExtrema(getHelioDistAU, jdBack, jdAhead, step, "max", P / 2), jdDate);
+
+        yearMin = Math.min(yearMin, jdToCalendar(jdBack).year);
+        yearMax = Math.max(yearMax, jdToCalendar(jdAhead).year);
+
+        results.push({
+          body: body.name,
+          periodYears: round(P / 365.25, 2),
+          lastPerihelion: describeApsis(peri.last, getHelioDistAU),
+          nextPerihelion: describeApsis(peri.next, getHelioDistAU),
+          lastAphelion: describeApsis(aph.last, getHelioDistAU),
+          nextAphelion: describeApsis(aph.next, getHelioDistAU),
+          info: null,
+          ephemeris: ephe.label
+        });
+
+      } catch (err) {
+        results.push({
+          body: body.name,
+          periodYears: round(body.periodDays / 365.25, 2),
+          lastPerihelion: null,
+          nextPerihelion: null,
+          lastAphelion: null,
+          nextAphelion: null,
+          info: explainCalcError(err, body),
+          ephemeris: null
+        });
+      }
+    }
+
+    if (format === "csv") {
+      return sendCsv(res, `perihel-aphel-${formatDateISO(date)}.csv`, buildCsv(CSV_HEADER, csvRowsFromBodies(results)));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      date: formatDateISO(date),
+      ephemeris: buildEphemerisMeta(usedEpheTypes, { y: yearMin }, { y: yearMax }),
+      bodies: results
+    });
+
+  } catch (e) {
+    console.error("Perihel/Aphel-Fehler:", e);
+    return res.status(500).json({ ok: false, error: String(e) });
+  } finally {
+    try { if (typeof swe.close === "function") swe.close(); } catch (_) {}
+  }
+}
@@ -1,4 +1,83 @@
+// api/prenatal-check.js
+// Pränatale Übergänge: welche Langsamläufer kreuzen in der Schwangerschaft ihren Geburtsgrad?
+//
+// Geburt:
+// - birthDate=YYYY-MM-DD&birthTime=HH:MM&birthTz=<Zone> (empfohlen), Zone als IANA-Name
+//   (z.B. Europe/Berlin, inkl. historischer Sommerzeit), Offset (+1, -5, +5.5, +02:00)
+//   oder LMT (Ortszeit nach birthLon); optional birthLat/birthLon (Geburtsort)
+// - alt: year/month/day (Geburt 00:00 UT, taggenau)
+//
+// Jeder Treffer hat den exakten Übergang (auf die Minute) mit Position, Richtung und
+// Durchgang: bei Rückläufigkeit kreuzt ein Planet den Grad bis zu dreimal
+// (1 direkt, 2 rückläufig, 3 direkt). Gezählt wird über das Fenster hinaus
+// (PASS_PAD_DAYS), damit z.B. ein Treffer im Fenster als "2/3" erkannt wird.
+//
+// Fenster: lookbackDays (Standard 270) oder conception=YYYY-MM-DD (Empfängnis) bzw.
+// dueDate=YYYY-MM-DD (errechneter Termin, Empfängnis = Termin - DUE_TO_CONCEPTION_DAYS);
+// ignoreLastDays (Standard 30, bei kurzen Fenstern höchstens die Hälfte) sperrt die letzten
+// Tage vor der Geburt.
+// Planeten: planets=jupiter,saturn,... (Schlüssel aus PLANETS, Standard: Jupiter bis Chiron)
+// Aspekte: aspects=konjunktion,quadrat,... (Schlüssel aus ASPECTS, Standard: konjunktion),
+// jeweils zur Geburtsposition des Planeten; jeder Treffer trägt den Aspekt.
+//
+// Zusätzlich (prenatal): letzte Syzygie (Neu- oder Vollmond) sowie letzte Sonnen- und
+// Mondfinsternis vor der Geburt, exakt mit Sonnen- und Mondposition. Mit Geburtszeit
+// (birthDate/birthTime/birthTz) und Geburtsort (birthLat/birthLon) auch das Haus
+// im Geburtshoroskop (Placidus).
+
 import SwissEph from "swisseph-wasm";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+import { parseDateParam } from "./_lib/dates.js";
+import { norm360, formatZodiacPos } from "./_lib/zodiac.js";
+import { utcMs, formatLocalIso } from "./_lib/zones.js";
+import { parseBirthOrThrow, birthWarning } from "./_lib/birth.js";
+import { findPhaseCrossings } from "./_lib/lunation.js";
+import { SOLAR_ECLIPSE_TYPES, LUNAR_ECLIPSE_TYPES, eclipseTypeOf } from "./_lib/eclipses.js";
+
+const DEFAULT_LOOKBACK_DAYS = 270;
+const DEFAULT_IGNORE_LAST_DAYS = 30;
+const MAX_LOOKBACK_DAYS = 366;
+
+// Naegele: Termin = Empfängnis + 266 Tage (= letzte Periode + 280 Tage)
+const DUE_TO_CONCEPTION_DAYS = 266;
+
+// id = Konstantenname in swisseph-wasm
+const PLANETS = [
+  { key: "sonne", name: "Sonne", id: "SE_SUN" },
+  { key: "mond", name: "Mond", id: "SE_MOON" },
+  { key: "merkur", name: "Merkur", id: "SE_MERCURY" },
+  { key: "venus", name: "Venus", id: "SE_VENUS" },
+  { key: "mars", name: "Mars", id: "SE_MARS" },
+  { key: "jupiter", name: "Jupiter", id: "SE_JUPITER" },
+  { key: "saturn", name: "Saturn", id: "SE_SATURN" },
+  { key: "uranus", name: "Uranus", id: "SE_URANUS" },
+  { key: "neptun", name: "Neptun", id: "SE_NEPTUNE" },
+  { key: "pluto", name: "Pluto", id: "SE_PLUTO" },
+  { key: "chiron", name: "Chiron", id: "SE_CHIRON" },
+  { key: "mondknoten", name: "Mondknoten (mittel)", id: "SE_MEAN_NODE" },
+  { key: "mondknoten-wahr", name: "Mondknoten (wahr)", id: "SE_TRUE_NODE" },
+];
+
+// Nur Langsamläufer (Mars draußen)
+const DEFAULT_PLANETS = ["jupiter", "saturn", "uranus", "neptun", "pluto", "chiron"];
+
+const ASPECTS = [
+  { key: "konjunktion", name: "Konjunktion", angle: 0 },
+  { key: "sextil", name: "Sextil", angle: 60 },
+  { key: "quadrat", name: "Quadrat", angle: 90 },
+  { key: "trigon", name: "Trigon", angle: 120 },
+  { key: "opposition", name: "Opposition", angle: 180 },
+];
+
+const DEFAULT_ASPECTS = ["konjunktion"];
+
+// Übergänge vor/nach dem Fenster, die nur zum Zählen der Durchgänge gesucht werden
+const PASS_PAD_DAYS = 400;
+
+// Abtastschritt (Tage); die Übergänge werden danach per Bisektion auf 1 Sekunde verfeinert
+// (ausgegeben auf die Minute gerundet)
+const SCAN_STEP_DAYS = 0.5;
+const REFINE_DAYS = 1 / 86400;
 
 export default async function handler(req, res) {
   // CORS (für Wix-Embed)
@@ -7,99 +86,169 @@ export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
 
   try {
-    const { year, month, day } = req.query;
+    const { year, month, day, birthDate } = req.query;
+
+    if (!birthDate && (!year || !month || !day)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Bitte birthDate/birthTime/birthTz (oder year, month und day) als Parameter angeben.",
+      });
+    }
 
-    if (!year || !month || !day) {
+    // Ausgabe: json (Standard) oder csv (eine Zeile pro Treffer)
+    const format = String(req.query.format || "json").trim().toLowerCase();
+    if (format !== "json" && format !== "csv") {
       return res.status(400).json({
         ok: false,
-        error: "Bitte year, month und day als Parameter angeben.",
+        error: "Parameter format ungültig (json oder csv).",
       });
     }
 
+    // Geburt: birthDate/birthTime/birthTz minutengenau, sonst year/month/day 00:00 UT
+    let birth;
+    try {
+      birth = parseBirthOrThrow(req.query, parseLegacyBirthOrThrow);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: String(e?.message || e) });
+    }
+
     const swe = new SwissEph();
     await swe.initSwissEph();
 
-    const birthYear = parseInt(year, 10);
-    const birthMonth = parseInt(month, 10);
-    const birthDay = parseInt(day, 10);
-
-    // Geburt: 00:00 UT (taggenau)
-    const birthTjd = swe.julday(birthYear, birthMonth, birthDay, 0, swe.SE_GREG_CAL);
+    const birthTjd = msToJd(birth.ms);
+    const birthYmd = revjulToYMD(swe, birthTjd);
+
+    // Fenster (Schwangerschaft): lookbackDays, conception oder dueDate
+    let lookbackDays = DEFAULT_LOOKBACK_DAYS;
+    const { conception, dueDate } = req.query;
+    if (conception || dueDate) {
+      const d = parseDateParam(conception || dueDate);
+      if (!d) {
+        return res.status(400).json({
+          ok: false,
+          error: `Parameter ${conception ? "conception" : "dueDate"} ungültig (YYYY-MM-DD).`,
+        });
+      }
+      const conceptionTjd = msToJd(utcMs(d.y, d.mo, d.d)) - (conception ? 0 : DUE_TO_CONCEPTION_DAYS);
+      lookbackDays = birthTjd - conceptionTjd;
+    } else if (req.query.lookbackDays != null && req.query.lookbackDays !== "") {
+      lookbackDays = Number(req.query.lookbackDays);
+    }
 
-    // Fenster (Schwangerschaft)
-    const LOOKBACK_DAYS = 270;
+    if (!(lookbackDays > 0 && lookbackDays <= MAX_LOOKBACK_DAYS)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Fenster ungültig (Empfängnis 1 bis ${MAX_LOOKBACK_DAYS} Tage vor der Geburt).`,
+      });
+    }
 
     // Sperrfenster vor Geburt (damit die "Geburtsnähe" nicht als zusätzlicher Treffer zählt)
-    const IGNORE_LAST_DAYS = 30;
+    const ignoreLastDays = req.query.ignoreLastDays != null && req.query.ignoreLastDays !== ""
+      ? Number(req.query.ignoreLastDays)
+      : Math.min(DEFAULT_IGNORE_LAST_DAYS, Math.floor(lookbackDays / 2));
+    if (!(ignoreLastDays >= 0 && ignoreLastDays < lookbackDays)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter ignoreLastDays ungültig (0 bis unter lookbackDays).",
+      });
+    }
 
-    const startTjd = birthTjd - LOOKBACK_DAYS;
-    const endTjd = birthTjd - IGNORE_LAST_DAYS;
+    const planetKeys = parseKeyList(req.query.planets, DEFAULT_PLANETS);
+    const planets = planetKeys.map((k) => PLANETS.find((p) => p.key === k));
+    if (!planets.length || planets.includes(undefined)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Parameter planets ungültig (${PLANETS.map((p) => p.key).join(", ")}).`,
+      });
+    }
 
-    // Nur Langsamläufer (Mars draußen)
-    const planets = [
-      { name: "Jupiter", id: swe.SE_JUPITER },
-      { name: "Saturn", id: swe.SE_SATURN },
-      { name: "Uranus", id: swe.SE_URANUS },
-      { name: "Neptun", id: swe.SE_NEPTUNE },
-      { name: "Pluto", id: swe.SE_PLUTO },
-      { name: "Chiron", id: swe.SE_CHIRON },
-    ];
+    const aspectKeys = parseKeyList(req.query.aspects, DEFAULT_ASPECTS);
+    const aspects = aspectKeys.map((k) => ASPECTS.find((a) => a.key === k));
+    if (!aspects.length || aspects.includes(undefined)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Parameter aspects ungültig (${ASPECTS.map((a) => a.key).join(", ")}).`,
+      });
+    }
+
+    const startTjd = birthTjd - lookbackDays;
+    const endTjd = birthTjd - ignoreLastDays;
 
     const results = [];
 
     for (const planet of planets) {
-      // Zielgrad = Planetenlänge am Geburtstag
-      const birthCalc = swe.calc_ut(birthTjd, planet.id, swe.SEFLG_SWIEPH);
-      const targetLon = norm360(getLon(birthCalc));
+      const planetId = swe[planet.id];
+
+      // Geburtsposition des Planeten
+      const birthCalc = swe.calc_ut(birthTjd, planetId, swe.SEFLG_SWIEPH);
+      const natalLon = norm360(getLon(birthCalc));
+
+      // Zielgrade: Geburtsgrad + Aspektwinkel (Sextil/Quadrat/Trigon zu beiden Seiten)
+      const targets = [];
+      for (const a of aspects) {
+        targets.push({ aspect: a, lon: norm360(natalLon + a.angle) });
+        if (a.angle !== 0 && a.angle !== 180) targets.push({ aspect: a, lon: norm360(natalLon - a.angle) });
+      }
 
       const hits = [];
-      const seen = new Set(); // Duplikate verhindern
-
-      // Tagweise durchs Fenster, aber pro Tag in 2 Halbtage splitten (treffsicherer taggenau)
-      for (let t = startTjd; t < endTjd; t += 1) {
-        const hitA = findCrossingInInterval(swe, planet.id, targetLon, t, t + 0.5);
-        const hitB = findCrossingInInterval(swe, planet.id, targetLon, t + 0.5, t + 1);
-
-        const hit = hitA || hitB;
-        if (!hit) continue;
-
-        const ymd = revjulToYMD(swe, t);
-        const key = `${ymd.year}-${ymd.month}-${ymd.day}`;
-        if (seen.has(key)) continue;
-        seen.add(key);
-
-        // Für Anzeige/Retro nehmen wir die Werte am Tagesanfang (taggenau ausreichend)
-        const dayCalc = swe.calc_ut(t, planet.id, swe.SEFLG_SWIEPH);
-        const lon = norm360(getLon(dayCalc));
-        const speedLon = getSpeedLon(dayCalc);
-        const retro = speedLon < 0;
-
-        const pos = formatZodiacPos(lon);
-
-        hits.push({
-          date: ymd,                    // {year,month,day}
-          lon: round(lon, 4),           // optional fürs Debug
-          sign: pos.sign,               // "Jungfrau" etc.
-          deg: pos.deg,                 // 0..29
-          min: pos.min,                 // 0..59
-          posText: pos.text,            // z.B. "13°40′ Jungfrau"
-          retro: retro ? "R" : "",      // "R" oder ""
-        });
+      for (const target of targets) {
+        // Alle Übergänge inkl. Rand (für die Durchgangszählung), danach aufs Fenster filtern
+        const crossings = numberPasses(
+          findCrossings(swe, planetId, target.lon, startTjd - PASS_PAD_DAYS, endTjd + PASS_PAD_DAYS)
+        );
+
+        for (const c of crossings) {
+          if (c.jd < startTjd || c.jd >= endTjd) continue;
+          hits.push(describeHit(swe, planetId, target, c, birth.zone));
+        }
       }
+      hits.sort((a, b) => a.jd - b.jd);
 
+      const natalPos = formatZodiacPos(natalLon);
       results.push({
         planet: planet.name,
+        key: planet.key,
+        natal: { lon: round(natalLon, 4), posText: natalPos.text },
         found: hits.length > 0,
-        hits, // Liste der Treffer
+        hits: hits.map(({ jd, ...h }) => h), // Liste der Treffer
       });
     }
 
+    // Häuser nur mit Geburtszeit und -ort (year/month/day ist nur taggenau)
+    const cusps = birth.zone && birth.place ? natalCusps(swe, birthTjd, birth.place) : null;
+    const prenatal = {
+      syzygy: describeLunation(swe, findPrenatalSyzygy(swe, birthTjd), birth.zone, cusps),
+      solarEclipse: describeLunation(swe, findPrenatalEclipse(swe, birthTjd, "solar"), birth.zone, cusps),
+      lunarEclipse: describeLunation(swe, findPrenatalEclipse(swe, birthTjd, "lunar"), birth.zone, cusps),
+    };
+
+    if (format === "csv") {
+      const ymd = `${birthYmd.year}-${String(birthYmd.month).padStart(2, "0")}-${String(birthYmd.day).padStart(2, "0")}`;
+      const rows = [...csvRowsFromResults(results), ...csvRowsFromPrenatal(prenatal)];
+      return sendCsv(res, `prenatal-check-${ymd}.csv`, buildCsv(csvHeader(birth.zone), rows));
+    }
+
     return res.status(200).json({
       ok: true,
-      birthDate: { year: birthYear, month: birthMonth, day: birthDay },
-      lookbackDays: LOOKBACK_DAYS,
-      ignoreLastDays: IGNORE_LAST_DAYS,
+      birthDate: birthYmd,
+      birth: {
+        datetime_utc: new Date(birth.ms).toISOString(),
+        datetime_local: birth.zone ? formatLocalIso(birth.zone, birth.ms) : null,
+        timeZone: birth.zone ? birth.zone.name : null,
+        place: birth.place,
+        warning: birthWarning(birth) ?? (birth.zone ? null : "Keine Geburtszeit angegeben: Geburt 00:00 UT angenommen."),
+      },
+      lookbackDays: round(lookbackDays, 2),
+      ignoreLastDays,
+      window: {
+        from: new Date(Math.round(jdToMs(startTjd) / 60000) * 60000).toISOString(),
+        to: new Date(Math.round(jdToMs(endTjd) / 60000) * 60000).toISOString(),
+      },
+      planets: planetKeys,
+      aspects: aspects.map((a) => `${a.name} (${a.angle}°)`),
       results,
+      houseSystem: cusps ? "Placidus" : null,
+      prenatal,
     });
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e) });
@@ -108,6 +257,41 @@ export default async function handler(req, res) {
 
 // ---- Helpers ----
 
+// "jupiter, Saturn" -> ["jupiter", "saturn"]; leer -> Standard
+function parseKeyList(s, defaults) {
+  if (s == null || String(s).trim() === "") return defaults;
+  return [...new Set(String(s).split(",").map((k) => k.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Treffer im exakten Übergangsmoment
+function describeHit(swe, planetId, target, c, zone) {
+  const calc = swe.calc_ut(c.jd, planetId, swe.SEFLG_SWIEPH | swe.SEFLG_SPEED);
+  const lon = norm360(getLon(calc));
+  const retro = getSpeedLon(calc) < 0;
+
+  const pos = formatZodiacPos(lon);
+  const ms = Math.round(jdToMs(c.jd) / 60000) * 60000; // auf die Minute
+
+  return {
+    jd: c.jd,                     // nur zum Sortieren
+    aspect: target.aspect.name,   // "Konjunktion", "Quadrat" ...
+    aspectAngle: target.aspect.angle,
+    date: revjulToYMD(swe, c.jd), // {year,month,day} (UT)
+    datetime_utc: new Date(ms).toISOString(),
+    datetime_local: zone ? formatLocalIso(zone, ms) : null,
+    lon: round(lon, 4),           // optional fürs Debug
+    sign: pos.sign,               // "Jungfrau" etc.
+    deg: pos.deg,                 // 0..29
+    min: pos.min,                 // 0..59
+    posText: pos.text,            // z.B. "13°40′ Jungfrau"
+    retro: retro ? "R" : "",      // "R" oder ""
+    direction: retro ? "rückläufig" : "direkt",
+    pass: c.pass,                 // 1, 2, 3 ...
+    passes: c.passes,             // Anzahl Durchgänge dieser Serie
+    passText: `${c.pass}/${c.passes} ${retro ? "rückläufig" : "direkt"}`,
+  };
+}
+
 function getLon(calcResult) {
   // swisseph-wasm gibt ein Array zurück; [0] ist Länge
   return calcResult[0];
@@ -120,12 +304,6 @@ function getSpeedLon(calcResult) {
   return typeof v === "number" ? v : 0;
 }
 
-function norm360(x) {
-  let v = x % 360;
-  if (v < 0) v += 360;
-  return v;
-}
-
 // signed diff a - b in degrees, wrapped to [-180..+180]
 function signedDiffDeg(a, b) {
   let d = norm360(a) - norm360(b);
@@ -141,22 +319,83 @@ function unwrapToBeNear(x, ref) {
   return y;
 }
 
-// Prüft, ob Zielgrad in [t0,t1] überquert wird
-function findCrossingInInterval(swe, planetId, targetLon, t0, t1) {
-  const lon0 = norm360(getLon(swe.calc_ut(t0, planetId, swe.SEFLG_SWIEPH)));
-  const lon1 = norm360(getLon(swe.calc_ut(t1, planetId, swe.SEFLG_SWIEPH)));
+function diffAt(swe, planetId, targetLon, t) {
+  return signedDiffDeg(norm360(getLon(swe.calc_ut(t, planetId, swe.SEFLG_SWIEPH))), targetLon);
+}
 
-  let d0 = signedDiffDeg(lon0, targetLon);
-  let d1 = signedDiffDeg(lon1, targetLon);
-  d1 = unwrapToBeNear(d1, d0); // verhindert falsche Treffer an der ±180°-Sprungstelle
+// Alle Übergänge über den Zielgrad in [t0,t1): Abtastung in SCAN_STEP_DAYS, dann Bisektion
+// -> [{ jd, retro }] zeitlich sortiert
+function findCrossings(swe, planetId, targetLon, t0, t1) {
+  const crossings = [];
+  let tPrev = t0;
+  let dPrev = diffAt(swe, planetId, targetLon, tPrev);
+
+  for (let t = t0 + SCAN_STEP_DAYS; t <= t1; t += SCAN_STEP_DAYS) {
+    const dRaw = diffAt(swe, planetId, targetLon, t);
+    // verhindert falsche Treffer an der ±180°-Sprungstelle (weiter rechnen mit dRaw, sonst driftet d)
+    const d = unwrapToBeNear(dRaw, dPrev);
+
+    // d === 0 zählt erst im nächsten Intervall (als dPrev), sonst doppelt
+    if (dPrev === 0 || (dPrev < 0 && d > 0) || (dPrev > 0 && d < 0)) {
+      crossings.push({ jd: refineCrossing(swe, planetId, targetLon, tPrev, t), retro: d < dPrev });
+    }
 
-  const crossed =
-    (d0 < 0 && d1 > 0) ||
-    (d0 > 0 && d1 < 0) ||
-    d0 === 0 ||
-    d1 === 0;
+    tPrev = t;
+    dPrev = dRaw;
+  }
+  return crossings;
+}
 
-  return crossed ? true : false;
+// Bisektion auf REFINE_DAYS
+function refineCrossing(swe, planetId, targetLon, a, b) {
+  let fa = diffAt(swe, planetId, targetLon, a);
+  if (fa === 0) return a;
+
+  while (b - a > REFINE_DAYS) {
+    const mid = (a + b) / 2;
+    const fm = unwrapToBeNear(diffAt(swe, planetId, targetLon, mid), fa);
+    if (fm === 0) return mid;
+    if ((fa < 0) === (fm < 0)) {
+      a = mid;
+      fa = fm;
+    } else {
+      b = mid;
+    }
+  }
+  return (a + b) / 2;
+}
+
+// Durchgänge nummerieren: eine Serie (direkt, rückläufig, direkt ...) wechselt bei jedem
+// Übergang die Richtung; zwei Übergänge gleicher Richtung hintereinander = neue Serie
+function numberPasses(crossings) {
+  const series = [];
+  let cur = null;
+  let prevRetro = null;
+
+  for (const c of crossings) {
+    if (!cur || c.retro === prevRetro) {
+      cur = [];
+      series.push(cur);
+    }
+    cur.push(c);
+    prevRetro = c.retro;
+  }
+
+  for (const s of series) {
+    s.forEach((c, i) => {
+      c.pass = i + 1;
+      c.passes = s.length;
+    });
+  }
+  return crossings;
+}
+
+function msToJd(ms) {
+  return ms / 86400000 + 2440587.5;
+}
+
+function jdToMs(jd) {
+  return (jd - 2440587.5) * 86400000;
 }
 
 function revjulToYMD(swe, tjd) {
@@ -164,24 +403,152 @@ function revjulToYMD(swe, tjd) {
   return { year: cal.year, month: cal.month, day: cal.day };
 }
 
-function formatZodiacPos(lon) {
-  const signs = [
-    "Widder", "Stier", "Zwillinge", "Krebs", "Löwe", "Jungfrau",
-    "Waage", "Skorpion", "Schütze", "Steinbock", "Wassermann", "Fische"
-  ];
-  const signIndex = Math.floor(lon / 30);
-  const inSign = lon - signIndex * 30;
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
 
-  const deg = Math.floor(inSign);
-  const min = Math.floor((inSign - deg) * 60 + 1e-9);
+// ---- Pränatale Syzygie + Finsternisse ----
 
-  const sign = signs[signIndex] || "";
-  const text = `${deg}°${String(min).padStart(2, "0")}′ ${sign}`;
+// Eine Lunation ist höchstens ca. 29,8 Tage lang: in diesem Fenster vor der Geburt liegt
+// sicher ein Neu- und ein Vollmond
+const SYZYGY_LOOKBACK_DAYS = 31;
 
-  return { sign, deg, min, text };
+// Letzter Neu- oder Vollmond vor der Geburt (gemeinsamer Phasenscan) -> { jd, phase, label }
+function findPrenatalSyzygy(swe, birthTjd) {
+  const events = findPhaseCrossings(swe, birthTjd - SYZYGY_LOOKBACK_DAYS, birthTjd, [0, 180]);
+  const last = events[events.length - 1];
+  if (!last) return null;
+  return last.angle === 0
+    ? { jd: last.jd, phase: "new", label: "Neumond" }
+    : { jd: last.jd, phase: "full", label: "Vollmond" };
 }
 
-function round(x, n) {
-  const f = Math.pow(10, n);
-  return Math.round(x * f) / f;
+// Letzte Sonnen- bzw. Mondfinsternis vor der Geburt (Rückwärtssuche ab Geburt) -> { jd, type, label }
+function findPrenatalEclipse(swe, birthTjd, kind /* "solar"|"lunar" */) {
+  const flags = swe.SEFLG_SWIEPH;
+  const solar = kind === "solar";
+  const r = solar
+    ? swe.sol_eclipse_when_glob(birthTjd, flags, 0, 1)
+    : swe.lun_eclipse_when(birthTjd, flags, 0, 1);
+  if (!r) return null;
+
+  const t = eclipseTypeOf(swe, r.retFlag, solar ? SOLAR_ECLIPSE_TYPES : LUNAR_ECLIPSE_TYPES);
+  return {
+    jd: r.tret[0], // Maximum
+    type: t ? t.type : null,
+    label: t ? t.label : solar ? "Sonnenfinsternis" : "Mondfinsternis",
+  };
+}
+
+// Placidus-Häuser bei Geburt -> cusps[1..12] oder null
+function natalCusps(swe, birthTjd, place) {
+  const h = swe.houses_ex(birthTjd, swe.SEFLG_SWIEPH, place.lat, place.lon, "P");
+  const cusps = h && h.cusps ? Array.from(h.cusps) : null;
+  if (!cusps || cusps.length < 13 || !cusps.slice(1).every(Number.isFinite)) return null;
+  return cusps.map(norm360);
+}
+
+// Haus 1..12 für eine Länge (cusps[1..12])
+function houseIndexForLon(lon, cusps) {
+  const L = norm360(lon);
+  for (let i = 1; i <= 12; i++) {
+    const start = cusps[i];
+    const end = cusps[i === 12 ? 1 : i + 1];
+
+    if (start === end) continue;
+
+    if (start < end) {
+      if (L >= start && L < end) return i;
+    } else {
+      if (L >= start || L < end) return i;
+    }
+  }
+  return 12;
+}
+
+function luminaryPos(swe, jd, id, cusps) {
+  const lon = norm360(getLon(swe.calc_ut(jd, id, swe.SEFLG_SWIEPH)));
+  const pos = formatZodiacPos(lon);
+  return {
+    lon: round(lon, 4),
+    sign: pos.sign,
+    deg: pos.deg,
+    min: pos.min,
+    posText: pos.text,
+    house: cusps ? houseIndexForLon(lon, cusps) : null,
+  };
+}
+
+// Syzygie/Finsternis -> Zeit (auf die Minute) + Sonnen- und Mondposition (+ Haus)
+function describeLunation(swe, ev, zone, cusps) {
+  if (!ev) return null;
+  const ms = Math.round(jdToMs(ev.jd) / 60000) * 60000;
+  return {
+    ...(ev.phase ? { phase: ev.phase } : { type: ev.type }),
+    label: ev.label,
+    date: revjulToYMD(swe, ev.jd), // {year,month,day} (UT)
+    datetime_utc: new Date(ms).toISOString(),
+    datetime_local: zone ? formatLocalIso(zone, ms) : null,
+    sun: luminaryPos(swe, ev.jd, swe.SE_SUN, cusps),
+    moon: luminaryPos(swe, ev.jd, swe.SE_MOON, cusps),
+  };
+}
+
+// ---- Geburt (Alt-Parameter) ----
+// year/month/day -> Geburt 00:00 UT (taggenau)
+function parseLegacyBirthOrThrow({ year, month, day }) {
+  const y = parseInt(year, 10);
+  const mo = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (!Number.isFinite(y) || !(mo >= 1 && mo <= 12) || !(d >= 1 && d <= 31)) {
+    throw new Error(`Ungültiges Geburtsdatum: ${year}-${month}-${day}`);
+  }
+  return utcMs(y, mo, d);
+}
+
+// ---- CSV (Excel, deutsch) ----
+function csvHeader(zone) {
+  return [
+    "Planet", "Aspekt", "Datum", "Zeit (UTC)", `Zeit (${zone ? zone.name : "Ortszeit"})`, "Position", "Zeichen", "Grad", "Minute",
+    "Länge", "Rückläufig", "Durchgang", "Haus", "Hinweis",
+  ];
+}
+
+function csvRowsFromResults(results) {
+  const rows = [];
+  for (const r of results) {
+    if (!r.found) {
+      rows.push([r.planet, null, null, null, null, null, null, null, null, null, null, null, null, "Kein Treffer im Fenster"]);
+      continue;
+    }
+    for (const h of r.hits) {
+      const date = `${String(h.date.day).padStart(2, "0")}.${String(h.date.month).padStart(2, "0")}.${h.date.year}`;
+      rows.push([
+        r.planet, h.aspect, date, h.datetime_utc, h.datetime_local, h.posText, h.sign, h.deg, h.min, h.lon, h.retro === "R",
+        h.passText, null, null,
+      ]);
+    }
+  }
+  return rows;
+}
+
+// Pro Syzygie/Finsternis je eine Zeile für Sonne und Mond
+function csvRowsFromPrenatal(prenatal) {
+  const rows = [];
+  for (const [title, ev] of [
+    ["Pränatale Syzygie", prenatal.syzygy],
+    ["Pränatale Sonnenfinsternis", prenatal.solarEclipse],
+    ["Pränatale Mondfinsternis", prenatal.lunarEclipse],
+  ]) {
+    if (!ev) continue;
+    const date = `${String(ev.date.day).padStart(2, "0")}.${String(ev.date.month).padStart(2, "0")}.${ev.date.year}`;
+    for (const [name, p] of [["Sonne", ev.sun], ["Mond", ev.moon]]) {
+      rows.push([
+        `${title}: ${name}`, null, date, ev.datetime_utc, ev.datetime_local, p.posText, p.sign, p.deg, p.min, p.lon, null,
+        null, p.house, ev.label,
+      ]);
+    }
+  }
+  return rows;
 }
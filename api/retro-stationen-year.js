@@ -0,0 +1,333 @@
+// api/retro-stationen-year.js
+// Rückläufigkeits-Stationen + Schattenphasen pro Jahr (deutsch, UTC)
+//
+// Zeitraum: year=YYYY (Kalenderjahr) oder from=YYYY-MM-DD&to=YYYY-MM-DD (beide inklusive,
+// max. MAX_RANGE_DAYS).
+//
+// - Merkur–Pluto + Chiron: Retro-Fenster über das Vorzeichen der Längengeschwindigkeit
+//   (gleiche Hysterese wie in perigaeum-year), Stationen per Bisektion minutengenau.
+// - Station rückläufig (SR) / Station direkt (SD) mit Zeichen/Grad/Minute.
+// - Vorschatten: ab dem Zeitpunkt, an dem der Planet vor SR erstmals den SD-Grad erreicht.
+// - Nachschatten: bis der Planet nach SD wieder den SR-Grad erreicht.
+// - Ausgegeben wird jeder Zyklus, dessen SR oder SD im Zeitraum liegt.
+//
+// Ausgabe: format=json (Standard) oder format=csv (eine Zeile pro Zyklus; Körper ohne
+// Station: eine Zeile mit Hinweis).
+//
+// Ephemeride: Dateien aus api/ephe (wie perigaeum-year), sonst Moshier (Chiron nur mit Datei).
+
+import SwissEph from "swisseph-wasm";
+import path from "path";
+import { jdToCalendar, calendarToJd, formatDateDE, jdToIsoUtc, formatDateISO, parseRangeParams } from "./_lib/dates.js";
+import { detectEphemerisRange, buildEphemerisMeta } from "./_lib/ephemeris.js";
+import { norm360, formatZodiacPos } from "./_lib/zodiac.js";
+import { makeCalc } from "./_lib/calc.js";
+import { findRetroWindows } from "./_lib/search.js";
+import { buildCsv, sendCsv } from "./_lib/csv.js";
+
+export const config = { runtime: "nodejs" };
+
+// Moshier deckt ca. -3000..+3000 ab; mit Dateien in api/ephe wird genauer gerechnet
+const MIN_YEAR = 1;
+const MAX_YEAR = 2999;
+const MAX_RANGE_DAYS = 3 * 366; // ca. 3 Jahre pro Anfrage (Serverless-Laufzeit)
+
+// Puffer > längste Retro-Phase (Pluto/Chiron ca. 5–6 Monate), damit beide Stationen im Suchfenster liegen
+const PAD_STATIONS = 200;
+
+// Maximale Suche nach Schattenbeginn/-ende (Tage vor SR / nach SD)
+const MAX_SHADOW_DAYS = 400;
+
+const BODIES = [
+  { id: "SE_MERCURY", name: "Merkur"  },
+  { id: "SE_VENUS",   name: "Venus"   },
+  { id: "SE_MARS",    name: "Mars"    },
+  { id: "SE_JUPITER", name: "Jupiter" },
+  { id: "SE_SATURN",  name: "Saturn"  },
+  { id: "SE_CHIRON",  name: "Chiron"  },
+  { id: "SE_URANUS",  name: "Uranus"  },
+  { id: "SE_NEPTUNE", name: "Neptun"  },
+  { id: "SE_PLUTO",   name: "Pluto"   }
+];
+
+// ---------------- CORS ----------------
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin || "";
+  res.setHeader("Access-Control-Allow-Origin", origin || "*");
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+}
+
+// ---------------- Winkel + Rundung ----------------
+// signed diff a - b in degrees, wrapped to [-180..+180]
+function signedDiffDeg(a, b) {
+  let d = norm360(a - b);
+  if (d > 180) d -= 360;
+  return d;
+}
+
+function round(x, n) {
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+// ---------------- SwissEph access ----------------
+function describePoint(jd, calc) {
+  const lon = calc.getLon(jd);
+  const pos = formatZodiacPos(lon);
+
+  return {
+    datum: formatDateDE(jdToCalendar(jd)),
+    datetime_utc: jdToIsoUtc(jd),
+    jd: round(jd, 6),
+    lon: round(lon, 4),
+    sign: pos.sign,
+    deg: pos.deg,
+    min: pos.min,
+    posText: pos.text
+  };
+}
+
+// ---------------- Stationen + Schatten ----------------
+// Bisektion auf f (Vorzeichenwechsel in [a, b]) bis auf 1 Minute
+function bisectSignChange(f, a, b) {
+  const tol = 1 / 1440; // 1 Minute
+  let fa = f(a);
+  const fb = f(b);
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  if (fa * fb > 0) return null;
+
+  for (let it = 0; it < 60 && (b - a) > tol; it++) {
+    const m = (a + b) / 2;
+    const fm = f(m);
+    if (fm === 0) return m;
+    if (fa * fm < 0) {
+      b = m;
+    } else {
+      a = m;
+      fa = fm;
+    }
+  }
+  return (a + b) / 2;
+}
+
+// Station im Umfeld eines Fensterrands (Hysterese liegt max. ca. 12h daneben)
+function refineStation(getLonSpeed, jdEdge) {
+  return bisectSignChange(getLonSpeed, jdEdge - 1.0, jdEdge + 1.0);
+}
+
+// Erster Zeitpunkt (ab jdFrom in Richtung dir = -1/+1), an dem der Planet lonTarget erreicht.
+// Tagesschritte genügen: auch Merkur läuft < 2,5°/Tag, der Schattenbereich ist breiter.
+function findLonCrossing(calc, lonTarget, jdFrom, dir) {
+  const f = (jd) => signedDiffDeg(calc.getLon(jd), lonTarget);
+  let prevJd = jdFrom;
+  let prev = f(prevJd);
+
+  for (let i = 1; i <= MAX_SHADOW_DAYS; i++) {
+    const jd = jdFrom + dir * i;
+    const cur = f(jd);
+    if (prev === 0) return prevJd;
+    if (prev * cur < 0 && Math.abs(prev - cur) < 180) {
+      return dir < 0 ? bisectSignChange(f, jd, prevJd) : bisectSignChange(f, prevJd, jd);
+    }
+    prevJd = jd;
+    prev = cur;
+  }
+  return null;
+}
+
+function findStationCycles(calc, jdScanStart, jdScanEnd) {
+  const cycles = [];
+
+  for (const [a, b] of findRetroWindows(calc.getLonSpeed, jdScanStart, jdScanEnd)) {
+    // Am Rand abgeschnittene Fenster haben keine echte Station
+    if (a <= jdScanStart || b >= jdScanEnd) continue;
+
+    const jdSR = refineStation(calc.getLonSpeed, a);
+    const jdSD = refineStation(calc.getLonSpeed, b);
+    if (jdSR == null || jdSD == null) continue;
+
+    const lonSR = calc.getLon(jdSR);
+    const lonSD = calc.getLon(jdSD);
+
+    const jdPre = findLonCrossing(calc, lonSD, jdSR - 0.5, -1);
+    const jdPost = findLonCrossing(calc, lonSR, jdSD + 0.5, +1);
+
+    cycles.push({ jdSR, jdSD, jdPre, jdPost });
+  }
+
+  return cycles;
+}
+
+// ---------------- CSV (Excel, deutsch) ----------------
+const CSV_HEADER = [
+  "Körper",
+  "SR Datum", "SR Zeit (UTC)", "SR Position",
+  "SD Datum", "SD Zeit (UTC)", "SD Position",
+  "Retro-Tage",
+  "Vorschatten ab Datum", "Vorschatten ab Zeit (UTC)", "Vorschatten Position",
+  "Nachschatten bis Datum", "Nachschatten bis Zeit (UTC)", "Nachschatten Position",
+  "Ephemeride", "Hinweis"
+];
+
+function csvRowsFromBodies(bodies) {
+  const point = (p) => (p ? [p.datum, p.datetime_utc, p.posText] : [null, null, null]);
+  const rows = [];
+
+  for (const b of bodies) {
+    if (b.stations.length === 0) {
+      rows.push([b.body, ...new Array(CSV_HEADER.length - 3).fill(null), b.ephemeris, b.info]);
+      continue;
+    }
+
+    for (const s of b.stations) {
+      rows.push([
+        b.body,
+        ...point(s.stationRetro),
+        ...point(s.stationDirect),
+        s.retroDays,
+        ...point(s.preShadowStart),
+        ...point(s.postShadowEnd),
+        b.ephemeris,
+        null
+      ]);
+    }
+  }
+
+  return rows;
+}
+
+export default async function handler(req, res) {
+  setCorsHeaders(req, res);
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  const swe = new SwissEph();
+
+  try {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const range = parseRangeParams(params, { minYear: MIN_YEAR, maxYear: MAX_YEAR, maxRangeDays: MAX_RANGE_DAYS });
+
+    if (range.error) {
+      return res.status(400).json({
+        ok: false,
+        error: range.error
+      });
+    }
+
+    const { year, from, to } = range;
+
+    const format = String(params.format || "json").trim().toLowerCase();
+    if (format !== "json" && format !== "csv") {
+      return res.status(400).json({
+        ok: false,
+        error: "Parameter format ungültig (json oder csv)."
+      });
+    }
+
+    await swe.initSwissEph();
+
+    if (typeof swe.calc_ut !== "function") {
+      return res.status(500).json({
+        ok: false,
+        error: "SwissEph init fehlgeschlagen (calc_ut nicht verfügbar). Prüfe Vercel Runtime (Node, nicht Edge)."
+      });
+    }
+
+    // Ephemeridenpfad setzen – Ordner liegt unter api/ephe
+    const ephePath = path.join(process.cwd(), "api", "ephe");
+    const ephePathWithSlash = ephePath.endsWith(path.sep) ? ephePath : ephePath + path.sep;
+
+    if (typeof swe.set_ephe_path === "function") {
+      swe.set_ephe_path(ephePathWithSlash);
+    } else if (typeof swe.swe_set_ephe_path === "function") {
+      swe.swe_set_ephe_path(ephePathWithSlash);
+    } else {
+      return res.status(500).json({
+        ok: false,
+        error: "SwissEph hat keine set_ephe_path/swe_set_ephe_path Methode. Paketversion prüfen."
+      });
+    }
+
+    // Zeitraum (UTC), Ende exklusiv (Tag nach "to")
+    const jdRangeStart = calendarToJd(from.y, from.mo, from.d);
+    const jdRangeEnd   = calendarToJd(to.y, to.mo, to.d) + 1;
+    const inRange = (jd) => jd >= jdRangeStart && jd < jdRangeEnd;
+
+    const jdScanStart = jdRangeStart - PAD_STATIONS;
+    const jdScanEnd   = jdRangeEnd + PAD_STATIONS;
+
+    const periodLabel = year != null ? "in diesem Jahr" : "im gewählten Zeitraum";
+
+    const results = [];
+    let totalCount = 0;
+    const usedEpheTypes = [];
+
+    for (const body of BODIES) {
+      try {
+        const bodyId = swe[body.id];
+        if (typeof bodyId !== "number") {
+          throw new Error(`Unbekannte SwissEph-Konstante: ${body.id}`);
+        }
+
+        const fileIndex = body.id === "SE_CHIRON" ? 2 : 0;
+        const ephe = detectEphemerisRange(swe, jdScanStart, jdScanEnd, bodyId, fileIndex);
+        usedEpheTypes.push(...ephe.types);
+
+        const calc = makeCalc(swe, bodyId);
+
+        const stations = findStationCycles(calc, jdScanStart, jdScanEnd)
+          .filter((c) => inRange(c.jdSR) || inRange(c.jdSD))
+          .map((c) => ({
+            stationRetro: describePoint(c.jdSR, calc),
+            stationDirect: describePoint(c.jdSD, calc),
+            retroDays: round(c.jdSD - c.jdSR, 2),
+            preShadowStart: c.jdPre != null ? describePoint(c.jdPre, calc) : null,
+            postShadowEnd: c.jdPost != null ? describePoint(c.jdPost, calc) : null
+          }));
+
+        totalCount += stations.length;
+
+        results.push({
+          body: body.name,
+          stations,
+          info: stations.length === 0 ? `Keine Station ${periodLabel}` : null,
+          ephemeris: ephe.label
+        });
+
+      } catch (err) {
+        results.push({
+          body: body.name,
+          stations: [],
+          info: `Berechnung nicht möglich: ${String(err?.message || err)}`,
+          ephemeris: null
+        });
+      }
+    }
+
+    if (format === "csv") {
+      const label = year != null ? String(year) : `${formatDateISO(from)}_${formatDateISO(to)}`;
+      return sendCsv(res, `retro-stationen-${label}.csv`, buildCsv(CSV_HEADER, csvRowsFromBodies(results)));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      year,
+      range: { from: formatDateISO(from), to: formatDateISO(to) },
+      totalCount,
+      ephemeris: buildEphemerisMeta(usedEpheTypes, from, to),
+      notes: {
+        preShadow: "Vorschatten: vom ersten Erreichen des SD-Grads bis zur Station rückläufig.",
+        postShadow: "Nachschatten: von der Station direkt bis zum erneuten Erreichen des SR-Grads."
+      },
+      bodies: results
+    });
+
+  } catch (e) {
+    console.error("Retro-Stationen-Fehler:", e);
+    return res.status(500).json({ ok: false, error: String(e) });
+  } finally {
+    try { if (typeof swe.close === "function") swe.close(); } catch (_) {}
+  }
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/finsternisse-year.js";
+import { callHandler } from "./helpers/handler.js";
+
+// user-014: Finsternisse pro Jahr
+test("2025: zwei totale Mond- und zwei partielle Sonnenfinsternisse mit Saros", async () => {
+  const { status, json } = await callHandler(handler, { year: 2025 });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    json.eclipses.map((e) => [e.datum, e.kind, e.type, e.saros.series]),
+    [
+      ["14.03.2025", "Mondfinsternis", "total", 123],
+      ["29.03.2025", "Sonnenfinsternis", "partial", 149],
+      ["07.09.2025", "Mondfinsternis", "total", 128],
+      ["21.09.2025", "Sonnenfinsternis", "partial", 154],
+    ]
+  );
+  const [march] = json.eclipses;
+  assert.ok(march.contacts.totalBegin < march.datetime_utc && march.datetime_utc < march.contacts.totalEnd);
+});
+
+test("2023: hybride, ringförmige und Halbschattenfinsternis", async () => {
+  const { json } = await callHandler(handler, { year: 2023 });
+  assert.deepEqual(
+    json.eclipses.map((e) => [e.datum, e.type, e.label]),
+    [
+      ["20.04.2023", "hybrid", "Hybride Sonnenfinsternis"],
+      ["05.05.2023", "penumbral", "Halbschatten-Mondfinsternis"],
+      ["14.10.2023", "annular", "Ringförmige Sonnenfinsternis"],
+      ["28.10.2023", "partial", "Partielle Mondfinsternis"],
+    ]
+  );
+});
+
+test("lokale Sichtbarkeit in Berlin", async () => {
+  const { json } = await callHandler(handler, { year: 2025, lat: 52.52, lon: 13.4 });
+  const local = Object.fromEntries(json.eclipses.map((e) => [e.datum, e.local]));
+  assert.equal(local["29.03.2025"].visible, true);
+  assert.equal(local["29.03.2025"].type, "partial");
+  assert.ok(local["29.03.2025"].magnitude > 0.2 && local["29.03.2025"].magnitude < 0.3);
+  assert.equal(local["07.09.2025"].maxVisible, true);
+  assert.equal(local["21.09.2025"].visible, false);
+
+  for (const q of [{ lat: 52.52 }, { lat: 95, lon: 13.4 }, { lat: "abc", lon: 13.4 }]) {
+    const bad = await callHandler(handler, { year: 2025, ...q });
+    assert.equal(bad.status, 400, JSON.stringify(q));
+  }
+});
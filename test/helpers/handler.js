@@ -0,0 +1,42 @@
+// Ruft einen Vercel-Handler mit einem minimalen req/res-Paar auf (ohne Server)
+export async function callHandler(handler, query = {}, { method = "GET", headers = {} } = {}) {
+  const result = { status: 200, headers: {}, body: undefined, json: undefined };
+
+  const res = {
+    setHeader(k, v) {
+      result.headers[k.toLowerCase()] = v;
+    },
+    getHeader(k) {
+      return result.headers[k.toLowerCase()];
+    },
+    status(s) {
+      result.status = s;
+      return res;
+    },
+    json(o) {
+      result.json = o;
+      return res;
+    },
+    send(b) {
+      result.body = String(b);
+      return res;
+    },
+    end(b) {
+      result.body = b == null ? "" : String(b);
+      return res;
+    },
+  };
+
+  const stringQuery = Object.fromEntries(Object.entries(query).map(([k, v]) => [k, String(v)]));
+  await handler({ method, query: stringQuery, body: method === "POST" ? stringQuery : undefined, headers }, res);
+  return result;
+}
+
+// CSV (Semikolon, BOM) -> Zeilen als Arrays
+export function parseCsv(body) {
+  return body
+    .replace(/^\uFEFF/, "")
+    .split("\r\n")
+    .filter(Boolean)
+    .map((line) => line.split(";"));
+}
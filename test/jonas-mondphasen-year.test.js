@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/jonas-mondphasen-year.js";
+import { callHandler } from "./helpers/handler.js";
+
+const BIRTH = { birthDate: "1980-05-01", birthTime: "14:30", birthTz: "Europe/Berlin" };
+
+// user-003: Zeitraum from/to bzw. year
+test("from/to begrenzt die Returns auf den Zeitraum (inklusive)", async () => {
+  const { status, json } = await callHandler(handler, { ...BIRTH, from: "2025-03-01", to: "2025-05-31" });
+  assert.equal(status, 200);
+  assert.equal(json.count, 3);
+  for (const r of json.returns) assert.ok(r.datetime_utc >= "2025-03-01" && r.datetime_utc < "2025-06-01");
+});
+
+test("ungültiger Zeitraum -> 400", async () => {
+  for (const q of [
+    { year: "abc" },
+    { year: 0 },
+    { year: 5000 },
+    { from: "2025-13-01", to: "2025-12-31" },
+    { from: "2025-02-29", to: "2025-03-31" },
+    { from: "2025-06-01", to: "2025-01-01" },
+    { from: "2020-01-01", to: "2030-01-01" },
+  ]) {
+    const { status, json } = await callHandler(handler, { ...BIRTH, ...q });
+    assert.equal(status, 400, JSON.stringify(q));
+    assert.equal(json.ok, false);
+  }
+});
+
+// user-019: Geburt mit Datum, Uhrzeit und Zone
+test("Zeitumstellung: fehlende Ortszeit verschoben, doppelte Ortszeit früherer Zeitpunkt", async () => {
+  const range = { from: "2025-11-01", to: "2025-11-30" };
+
+  const gap = await callHandler(handler, { birthDate: "2025-03-30", birthTime: "02:30", birthTz: "Europe/Berlin", ...range });
+  assert.equal(gap.status, 200);
+  assert.equal(gap.json.birth.datetime_utc, "2025-03-30T01:30:00.000Z");
+  assert.match(gap.json.birth.warning, /existiert nicht/);
+
+  const berlin = await callHandler(handler, { birthDate: "2025-10-26", birthTime: "02:30", birthTz: "Europe/Berlin", ...range });
+  assert.equal(berlin.json.birth.datetime_utc, "2025-10-26T00:30:00.000Z");
+  assert.equal(berlin.json.birth.datetime_local, "2025-10-26T02:30:00+02:00");
+  assert.match(berlin.json.birth.warning, /zweimal/);
+
+  const ny = await callHandler(handler, { birthDate: "2025-11-02", birthTime: "01:30", birthTz: "America/New_York", ...range });
+  assert.equal(ny.json.birth.datetime_utc, "2025-11-02T05:30:00.000Z");
+  assert.match(ny.json.birth.warning, /zweimal/);
+
+  const plain = await callHandler(handler, { ...BIRTH, ...range });
+  assert.equal(plain.json.birth.datetime_utc, "1980-05-01T12:30:00.000Z");
+  assert.equal(plain.json.birth.warning, null);
+});
+
+test("birthTz als fester Offset oder LMT, Ausgabe in tz", async () => {
+  const range = { from: "2025-11-01", to: "2025-11-30" };
+
+  const offset = await callHandler(handler, { ...BIRTH, birthTz: "+02:00", tz: "+1", ...range });
+  assert.equal(offset.json.birth.datetime_utc, "1980-05-01T12:30:00.000Z");
+  assert.equal(offset.json.timeZone, "UTC+1");
+  assert.match(offset.json.returns[0].datetime_local, /\+01:00$/);
+
+  const lmt = await callHandler(handler, { ...BIRTH, birthTz: "LMT", birthLat: 52.5, birthLon: 13.4, ...range });
+  assert.equal(lmt.status, 200);
+  assert.equal(lmt.json.birth.datetime_utc, "1980-05-01T13:36:24.000Z");
+  assert.equal(lmt.json.birth.datetime_local, "1980-05-01T14:30:00+00:54");
+});
+
+test("ungültige Geburtsangaben, Zone, Fenster oder Ort -> 400", async () => {
+  for (const q of [
+    { birthTime: "25:30" },
+    { birthTz: "Foo/Bar" },
+    { birthTz: "+15" },
+    { birthTz: "LMT" },
+    { birthLat: "abc", birthLon: 13.4 },
+    { tz: "Mars/Olympus" },
+    { windowBefore: "abc" },
+    { lat: 52.5 },
+  ]) {
+    const { status, json } = await callHandler(handler, { ...BIRTH, year: 2025, ...q });
+    assert.equal(status, 400, JSON.stringify(q));
+    assert.equal(json.ok, false);
+  }
+});
+
+// user-020: Gegenphase und Fenster
+test("mode=both: Return und Gegenphase im Wechsel, Fenster mit Zeichen an den Rändern", async () => {
+  const { status, json } = await callHandler(handler, {
+    ...BIRTH, from: "2025-03-01", to: "2025-04-15", mode: "both", windowBefore: 12, windowAfter: 12
+  });
+  assert.equal(status, 200);
+  assert.ok(Math.abs(json.birth.oppositeAngle - ((json.birth.phaseAngle + 180) % 360)) < 1e-3);
+  assert.deepEqual(json.returns.map((r) => r.kind), ["Gegenphase", "Return", "Gegenphase", "Return"]);
+  assert.deepEqual(json.months.map((m) => m.gegenphase), [2, 0]);
+
+  for (const r of json.returns) {
+    const t = Date.parse(r.datetime_utc);
+    assert.equal(Date.parse(r.window.start.datetime_utc), t - 12 * 3600000);
+    assert.equal(Date.parse(r.window.end.datetime_utc), t + 12 * 3600000);
+    assert.equal(r.window.start.sex_sign, r.sex_sign);
+    assert.equal(r.window.signChange, r.window.start.sex_sign !== r.window.end.sex_sign);
+  }
+
+  for (const q of [{ mode: "gegen" }, { windowBefore: 100 }, { windowAfter: -1 }]) {
+    const bad = await callHandler(handler, { ...BIRTH, year: 2025, ...q });
+    assert.equal(bad.status, 400, JSON.stringify(q));
+  }
+});
+
+// user-021: Monatsübersicht
+test("Monatsübersicht nach UTC: Return am 31.05. UTC (Ortszeit schon Juni) zählt im Mai", async () => {
+  const { status, json } = await callHandler(handler, {
+    birthDate: "1980-05-19", birthTime: "14:30", birthTz: "Europe/Berlin",
+    from: "2025-05-01", to: "2025-05-31", tz: "Pacific/Kiritimati"
+  });
+  assert.equal(status, 200);
+
+  const last = json.returns[json.returns.length - 1];
+  assert.equal(last.datetime_utc.slice(0, 10), "2025-05-31");
+  assert.equal(last.datetime_local.slice(0, 10), "2025-06-01");
+
+  assert.deepEqual(json.months.map((m) => m.month), ["2025-05"]);
+  assert.equal(json.months[0].count, json.count);
+});
+
+test("years=N: eine Zeile pro Monat, Summe = count", async () => {
+  const { json } = await callHandler(handler, { ...BIRTH, year: 2024, years: 2, sex: "w" });
+  assert.equal(json.months.length, 24);
+  assert.equal(json.months.reduce((n, m) => n + m.count, 0), json.count);
+  assert.ok(json.returns.every((r) => r.sex_sign.endsWith("w")));
+
+  for (const q of [{ years: 6 }, { years: "x" }, { year: 2998, years: 3 }, { sex: "x" }]) {
+    const bad = await callHandler(handler, { ...BIRTH, year: 2024, ...q });
+    assert.equal(bad.status, 400, JSON.stringify(q));
+  }
+});
+
+// user-022: topozentrischer Mond
+test("topozentrisch: Returns um höchstens ~2 h gegenüber geozentrisch verschoben", async () => {
+  const range = { from: "2025-03-01", to: "2025-04-30" };
+  const geo = await callHandler(handler, { ...BIRTH, ...range });
+  const topo = await callHandler(handler, { ...BIRTH, ...range, lat: 52.52, lon: 13.4 });
+  assert.equal(geo.json.positions.mode, "geozentrisch");
+  assert.equal(topo.json.positions.mode, "topozentrisch");
+  assert.deepEqual(topo.json.positions.birthSite, { lat: 52.52, lon: 13.4, alt: 0 });
+  assert.equal(topo.json.count, geo.json.count);
+
+  topo.json.returns.forEach((r, i) => {
+    const shift = Math.abs(Date.parse(r.datetime_utc) - Date.parse(geo.json.returns[i].datetime_utc)) / 3600000;
+    assert.ok(shift > 0 && shift < 2.5, `${r.datetime_utc}: ${shift} h`);
+  });
+
+  // Geburtsphasenwinkel am Geburtsort statt am Beobachterort
+  const elsewhere = await callHandler(handler, { ...BIRTH, ...range, lat: 52.52, lon: 13.4, birthLat: -33.9, birthLon: 151.2 });
+  assert.deepEqual(elsewhere.json.positions.birthSite, { lat: -33.9, lon: 151.2, alt: 0 });
+  assert.notEqual(elsewhere.json.birth.phaseAngle, topo.json.birth.phaseAngle);
+});
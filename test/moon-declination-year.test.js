@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/moon-declination-year.js";
+import { callHandler } from "./helpers/handler.js";
+
+// user-015: Deklinationsextreme und Mondstillstand
+test("2025: großer Mondstillstand, Extreme über ±28°, Nord und Süd im Wechsel", async () => {
+  const { status, json } = await callHandler(handler, { year: 2025 });
+  assert.equal(status, 200);
+
+  assert.deepEqual(json.counts, { north: 13, south: 13 });
+  json.extremes.forEach((x, i) => {
+    if (i > 0) assert.notEqual(x.kind, json.extremes[i - 1].kind);
+    assert.ok(Math.abs(x.decDeg) > 28, `${x.datum} ${x.decDeg}`);
+    assert.equal(Math.sign(x.decDeg), x.kind === "Nord" ? 1 : -1);
+  });
+  assert.equal(json.maxNorth.datum, "07.03.2025");
+  assert.equal(json.maxSouth.datum, "22.03.2025");
+
+  const s = json.standstill;
+  assert.match(s.stage, /^Großer Mondstillstand/);
+  assert.equal(s.lastMajor.datetime_utc.slice(0, 7), "2025-01");
+  assert.equal(s.nextMajor.datetime_utc.slice(0, 4), "2043");
+  assert.equal(s.lastMinor.datetime_utc.slice(0, 4), "2015");
+  assert.equal(s.nextMinor.datetime_utc.slice(0, 4), "2034");
+});
+
+test("2034: kleiner Mondstillstand, Extreme unter ±19°", async () => {
+  const { json } = await callHandler(handler, { from: "2034-05-01", to: "2034-06-30" });
+  assert.match(json.standstill.stage, /^Kleiner Mondstillstand/);
+  for (const x of json.extremes) assert.ok(Math.abs(x.decDeg) < 19, `${x.datum} ${x.decDeg}`);
+});
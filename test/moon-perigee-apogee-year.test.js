@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/moon-perigee-apogee-year.js";
+import { callHandler } from "./helpers/handler.js";
+
+const RANGE = { from: "2025-10-01", to: "2025-12-31" };
+
+// user-012: exakte Zeiten, Distanzen, Jahresextreme
+test("Perigäen Okt–Dez 2025 mit Zeit und Distanz, Proxigäum am 05.11.", async () => {
+  const { status, json } = await callHandler(handler, RANGE);
+  assert.equal(status, 200);
+  assert.deepEqual(json.perigees.map((p) => p.datum), ["08.10.2025", "05.11.2025", "04.12.2025"]);
+  assert.deepEqual(json.apogees.map((p) => p.datum), ["23.10.2025", "20.11.2025", "17.12.2025"]);
+
+  const proxigee = json.perigees.find((p) => p.proxigee);
+  assert.equal(proxigee.datetime_utc.slice(0, 10), "2025-11-05");
+  assert.ok(Math.abs(proxigee.distKm - 356830) < 50, String(proxigee.distKm));
+  assert.ok(proxigee.diameterArcmin > 33.4);
+
+  const [extremes] = json.extremes;
+  assert.equal(extremes.complete, false);
+  assert.equal(extremes.proxigee.jd, proxigee.jd);
+  assert.equal(extremes.farthestApogee.datum, "20.11.2025");
+});
+
+// user-013: Super-/Mini-Definitionen
+test("rule wählt die Super-Definition, syzygies listet alle Regeln", async () => {
+  const { json } = await callHandler(handler, RANGE);
+  const october = json.syzygies.find((s) => s.datum === "07.10.2025");
+  assert.deepEqual(october.super, ["span10", "nolle90"]);
+  assert.deepEqual(json.syzygies.find((s) => s.datum === "05.11.2025").super, ["span10", "nolle90", "fixed", "perigee24h"]);
+
+  // 361.456 km: über der Standardgrenze 360.000 km, unter superKm=362000
+  const fixed = await callHandler(handler, { ...RANGE, rule: "fixed" });
+  assert.equal(fixed.json.meta.rule, "fixed");
+  assert.deepEqual(fixed.json.perigees[0].notes, []);
+  const wider = await callHandler(handler, { ...RANGE, rule: "fixed", superKm: 362000 });
+  assert.ok(wider.json.syzygies.find((s) => s.datum === "07.10.2025").super.includes("fixed"));
+  assert.match(wider.json.perigees[0].notes[0], /Super-Vollmond am 07\.10\.2025/);
+
+  for (const q of [{ rule: "gross" }, { superKm: "abc" }, { superKm: 410000 }]) {
+    const bad = await callHandler(handler, { ...RANGE, ...q });
+    assert.equal(bad.status, 400, JSON.stringify(q));
+  }
+});
+
+// user-018: perigäische Springfluten
+test("Springfluten: Vollmond nahe Perigäum, Grenze über tideHours", async () => {
+  const { json } = await callHandler(handler, RANGE);
+  assert.deepEqual(
+    json.perigeanSpringTides.map((t) => [t.datum, t.separationHours]),
+    [["07.10.2025", -33], ["05.11.2025", -9.2], ["04.12.2025", 12]]
+  );
+  for (const t of json.perigeanSpringTides) assert.ok(t.tideIndex > 1);
+  assert.equal(json.counts.perigeanSpringTide, 3);
+
+  const narrow = await callHandler(handler, { ...RANGE, tideHours: 10 });
+  assert.deepEqual(narrow.json.perigeanSpringTides.map((t) => t.datum), ["05.11.2025"]);
+
+  for (const tideHours of [0, 200, "abc"]) {
+    const bad = await callHandler(handler, { ...RANGE, tideHours });
+    assert.equal(bad.status, 400, String(tideHours));
+  }
+});
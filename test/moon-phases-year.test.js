@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/moon-phases-year.js";
+import { callHandler, parseCsv } from "./helpers/handler.js";
+
+// user-016: acht Phasen, minutengenau
+test("März/April 2025: Voll- und Neumonde minutengenau, Phasen in fester Reihenfolge", async () => {
+  const { status, json } = await callHandler(handler, { from: "2025-03-01", to: "2025-04-30" });
+  assert.equal(status, 200);
+
+  const full = json.phases.filter((p) => p.angle === 180).map((p) => p.datetime_utc);
+  const news = json.phases.filter((p) => p.angle === 0).map((p) => p.datetime_utc);
+  assert.deepEqual(full, ["2025-03-14T06:55:00.000Z", "2025-04-13T00:22:00.000Z"]);
+  assert.deepEqual(news, ["2025-03-29T10:58:00.000Z", "2025-04-27T19:31:00.000Z"]);
+
+  for (let i = 1; i < json.phases.length; i++) {
+    assert.equal(json.phases[i].angle, (json.phases[i - 1].angle + 45) % 360);
+  }
+});
+
+test("format=csv: eine Zeile pro Phase", async () => {
+  const { status, body } = await callHandler(handler, { from: "2025-03-01", to: "2025-04-30", format: "csv" });
+  assert.equal(status, 200);
+  const rows = parseCsv(body);
+  assert.equal(rows.length - 1, 16);
+});
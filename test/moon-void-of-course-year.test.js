@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/moon-void-of-course-year.js";
+import { callHandler } from "./helpers/handler.js";
+
+const RANGE = { from: "2025-03-01", to: "2025-03-05" };
+
+// user-017: Ingress und Void of Course
+test("Void of Course vom letzten Aspekt bis zum Ingress, Ortszeit mit Offset", async () => {
+  const { status, json } = await callHandler(handler, { ...RANGE, tz: "Europe/Berlin" });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    json.ingresses.map((i) => [i.fromSign, i.sign, i.datetime_utc]),
+    [
+      ["Fische", "Widder", "2025-03-01T09:52:00.000Z"],
+      ["Widder", "Stier", "2025-03-03T10:37:00.000Z"],
+      ["Stier", "Zwillinge", "2025-03-05T12:29:00.000Z"],
+    ]
+  );
+  assert.equal(json.ingresses[0].datetime_local, "2025-03-01T10:52:00+01:00");
+
+  json.voidOfCourse.forEach((v, i) => {
+    assert.equal(v.end.datetime_utc, json.ingresses[i].datetime_utc);
+    assert.equal(v.start.datetime_utc, v.lastAspect.datetime_utc);
+    assert.equal(v.nextSign, json.ingresses[i].sign);
+  });
+  assert.equal(json.voidOfCourse[1].lastAspect.planet, "Mars");
+  assert.equal(json.voidOfCourse[1].lastAspect.aspect, "Quadrat");
+});
+
+test("tz als fester Offset", async () => {
+  const { status, json } = await callHandler(handler, { ...RANGE, tz: "+02:00" });
+  assert.equal(status, 200);
+  assert.equal(json.meta.timeZone, "UTC+02:00");
+  assert.equal(json.ingresses[0].datetime_local, "2025-03-01T11:52:00+02:00");
+});
+
+test("planets=klassisch ohne Uranus, Neptun und Pluto", async () => {
+  const { json } = await callHandler(handler, { ...RANGE, planets: "klassisch" });
+  for (const v of json.voidOfCourse) {
+    if (v.lastAspect) assert.ok(!["Uranus", "Neptun", "Pluto"].includes(v.lastAspect.planet));
+  }
+  // 01.03.: Konjunktion mit Neptun zählt nicht mehr, die Phase beginnt früher
+  assert.ok(json.voidOfCourse[0].start.datetime_utc < "2025-03-01T08:06:00.000Z");
+});
+
+test("ungültige Zone oder Planetenauswahl -> 400", async () => {
+  for (const q of [{ tz: "Mars/Olympus" }, { tz: "+15:00" }, { planets: "alle" }, { to: "2025-02-01" }]) {
+    const { status, json } = await callHandler(handler, { ...RANGE, ...q });
+    assert.equal(status, 400, JSON.stringify(q));
+    assert.equal(json.ok, false);
+  }
+});
@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/perigaeum-year.js";
+import { callHandler, parseCsv } from "./helpers/handler.js";
+
+const bodyOf = (json, key) => json.bodies.find((b) => b.key === key);
+
+// user-001: Apogäen der Planeten
+test("Mars 2025: Perigäum am 12.01. und ein Apogäum, Venus ohne Apogäum", async () => {
+  const { status, json } = await callHandler(handler, { year: 2025, bodies: "mars,venus" });
+  assert.equal(status, 200);
+
+  const mars = bodyOf(json, "mars");
+  assert.deepEqual(mars.perigees.map((p) => p.datum), ["12.01.2025"]);
+  assert.deepEqual(mars.apogees.map((p) => p.datum), ["30.11.2025"]);
+
+  const venus = bodyOf(json, "venus");
+  assert.deepEqual(venus.perigees.map((p) => p.datum), ["22.03.2025"]);
+  assert.deepEqual(venus.apogees, []);
+  assert.equal(venus.apogeeInfo, "Kein Apogäum in diesem Jahr");
+});
+
+// user-002: exakte Zeit, Distanz und Position
+test("Mars-Perigäum 2025 mit Zeit, Distanz und Position", async () => {
+  const { json } = await callHandler(handler, { year: 2025, bodies: "mars" });
+  const [p] = bodyOf(json, "mars").perigees;
+  assert.equal(p.datetime_utc, "2025-01-12T13:32:00.000Z");
+  assert.ok(Math.abs(p.distKm - p.distAU * 149597870.7) < 1);
+  assert.equal(p.posText, "27°37′ Krebs");
+  assert.equal(p.retro, true);
+});
+
+// user-003: Zeitraum über den Jahreswechsel
+test("from/to über den Jahreswechsel: Perihel der Erde ohne Aphel", async () => {
+  const { status, json } = await callHandler(handler, { from: "2024-12-01", to: "2025-02-28", bodies: "sonne,mars" });
+  assert.equal(status, 200);
+  assert.equal(json.year, null);
+  assert.deepEqual(json.range, { from: "2024-12-01", to: "2025-02-28" });
+  assert.deepEqual(bodyOf(json, "sonne").perigees.map((p) => p.datum), ["04.01.2025"]);
+  assert.deepEqual(bodyOf(json, "sonne").apogees, []);
+  assert.deepEqual(bodyOf(json, "mars").perigees.map((p) => p.datum), ["12.01.2025"]);
+
+  for (const q of [
+    { from: "2025-03-01", to: "2025-01-01" },
+    { from: "2020-01-01", to: "2025-01-01" },
+    { from: "2025-01-01" },
+    { from: "2025-02-31", to: "2025-03-31" },
+  ]) {
+    const bad = await callHandler(handler, { ...q, bodies: "mars" });
+    assert.equal(bad.status, 400, JSON.stringify(q));
+  }
+});
+
+// user-004: Jahre außerhalb 1900–2050, Ephemeride in der Antwort
+test("1500: julianisches Datum, ISO-Zeit gregorianisch, Ephemeride angegeben", async () => {
+  const { status, json } = await callHandler(handler, { year: 1500, bodies: "sonne" });
+  assert.equal(status, 200);
+  const [perihel] = bodyOf(json, "sonne").perigees;
+  assert.equal(perihel.datum, "15.12.1500");
+  assert.equal(perihel.datetime_utc.slice(0, 10), "1500-12-25");
+  assert.ok(json.ephemeris.types.length > 0);
+  for (const t of json.ephemeris.types) assert.ok(json.ephemeris.accuracy[t]);
+
+  for (const q of [{ year: 0 }, { year: 3000 }, { from: "1582-10-10", to: "1582-12-31" }]) {
+    const bad = await callHandler(handler, { ...q, bodies: "sonne" });
+    assert.equal(bad.status, 400, JSON.stringify(q));
+  }
+});
+
+// user-006: Körperauswahl
+test("Körperauswahl: Punkte ohne Distanz, fehlende Asteroiden-Datei, unbekannte Körper", async () => {
+  const { status, json } = await callHandler(handler, { year: 2025, bodies: "mars,mondknoten-wahr" });
+  assert.equal(status, 200);
+  assert.deepEqual(json.bodies.map((b) => b.key), ["mars", "mondknoten-wahr"]);
+  const node = bodyOf(json, "mondknoten-wahr");
+  assert.equal(node.mode, "POINT");
+  assert.deepEqual(node.perigees, []);
+  assert.match(node.info, /ohne physische Distanz/);
+
+  const standard = await callHandler(handler, { year: 2025, bodies: "standard,eris" });
+  assert.equal(standard.json.bodies.length, 11);
+  assert.equal(standard.json.bodies.at(-1).key, "eris");
+
+  // api/ephe enthält keine Einzelasteroiden-Datei: Eris muss die fehlende Datei benennen
+  const eris = bodyOf(standard.json, "eris");
+  assert.equal(eris.ephemeris, null);
+  assert.deepEqual(eris.perigees, []);
+  assert.match(eris.info, /s136199s\.se1/);
+
+  const bad = await callHandler(handler, { year: 2025, bodies: "mars,vulkan" });
+  assert.equal(bad.status, 400);
+  assert.match(bad.json.error, /vulkan/);
+});
+
+// user-008: Opposition bzw. untere Konjunktion zum Perigäum
+test("Perigäum mit Opposition (Mars) bzw. unterer Konjunktion (Venus)", async () => {
+  const { json } = await callHandler(handler, { year: 2025, bodies: "mars,venus" });
+  const [mars] = bodyOf(json, "mars").perigees;
+  assert.equal(mars.sunAspect.type, "Opposition");
+  assert.equal(mars.sunAspect.datetime_utc, "2025-01-16T02:38:00.000Z");
+  assert.equal(mars.sunAspect.offsetHours, -85.1);
+  assert.ok(mars.elongationDeg > 170);
+
+  const [venus] = bodyOf(json, "venus").perigees;
+  assert.equal(venus.sunAspect.type, "Untere Konjunktion");
+  assert.equal(venus.sunAspect.datum, "23.03.2025");
+  assert.ok(venus.elongationDeg < 15);
+});
+
+// user-009: Rangliste für jedes Perigäum
+test("jedes Perigäum bekommt einen Rang innerhalb ±50 Jahre", async () => {
+  const { json } = await callHandler(handler, { year: 2025, bodies: "mars,merkur" });
+  assert.equal(json.rankSpanYears, 50);
+
+  const { ranking } = bodyOf(json, "mars").perigees[0];
+  assert.ok(ranking.rank >= 1 && ranking.rank <= ranking.compared);
+  assert.ok(ranking.closerSinceYear < 2025 && ranking.closerUntilYear > 2025);
+  assert.match(ranking.text, /^Rang \d+ von \d+/);
+
+  for (const p of bodyOf(json, "merkur").perigees) assert.ok(p.ranking, p.datum);
+});
+
+// user-010: iCalendar
+test("format=ics: ein VEVENT pro Perigäum/Apogäum mit stabiler UID", async () => {
+  const { status, headers, body } = await callHandler(handler, { year: 2025, bodies: "mars", format: "ics" });
+  assert.equal(status, 200);
+  assert.match(headers["content-type"], /^text\/calendar/);
+  assert.ok(body.startsWith("BEGIN:VCALENDAR\r\n") && body.endsWith("END:VCALENDAR\r\n"));
+  assert.deepEqual(body.match(/^UID:.*$/gm), [
+    "UID:perigaeum-mars-20250112@perigaeum-finder",
+    "UID:apogaeum-mars-20251130@perigaeum-finder",
+  ]);
+  assert.match(body, /^DTSTART:20250112T133200Z$/m);
+  for (const line of body.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+});
+
+// user-011: CSV
+test("format=csv: Semikolon, Dezimalkomma, Zeile mit Hinweis für Körper ohne Ereignis", async () => {
+  const { status, headers, body } = await callHandler(handler, { year: 2025, bodies: "mars,mondknoten-wahr", format: "csv" });
+  assert.equal(status, 200);
+  assert.match(headers["content-type"], /^text\/csv/);
+  assert.match(headers["content-disposition"], /filename="?[^"]+\.csv/);
+  assert.ok(body.startsWith("\uFEFF"));
+
+  const [header, ...rows] = parseCsv(body);
+  const col = (name) => header.indexOf(name);
+  assert.deepEqual(rows.map((r) => [r[0], r[1], r[col("Datum")]]), [
+    ["Mars", "Perigäum", "12.01.2025"],
+    ["Mars", "Apogäum", "30.11.2025"],
+    ["Mondknoten (wahr)", "Perigäum", ""],
+    ["Mondknoten (wahr)", "Apogäum", ""],
+  ]);
+  assert.equal(rows[0][col("Distanz (AU)")], "0,6422765");
+  assert.equal(rows[0][col("Rückläufig")], "ja");
+  assert.match(rows[2][col("Hinweis")], /ohne physische Distanz/);
+  for (const r of rows) assert.equal(r.length, header.length);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/perihel-aphel.js";
+import { callHandler } from "./helpers/handler.js";
+
+const bodyOf = (json, name) => json.bodies.find((b) => b.body === name);
+
+// user-007: nächste Apsis vor/nach dem Datum, nicht die extremste im Umlauf
+test("Erde am 03.01.2025: nächstes Perihel am 04.01.2025, letztes am 03.01.2024", async () => {
+  const { status, json } = await callHandler(handler, { date: "2025-01-03" });
+  assert.equal(status, 200);
+
+  const erde = bodyOf(json, "Erde");
+  assert.equal(erde.lastPerihelion.datum, "03.01.2024");
+  assert.equal(erde.nextPerihelion.datum, "04.01.2025");
+  assert.equal(erde.lastAphelion.datum, "05.07.2024");
+  assert.equal(erde.nextAphelion.datum, "03.07.2025");
+
+  for (const b of json.bodies.filter((x) => x.info == null)) {
+    assert.ok(b.lastPerihelion.datetime_utc < "2025-01-03", b.body);
+    assert.ok(b.nextPerihelion.datetime_utc >= "2025-01-03", b.body);
+  }
+});
+
+test("Erde am 05.01.2025: Perihel vom Vortag ist das letzte", async () => {
+  const { json } = await callHandler(handler, { date: "2025-01-05" });
+  const erde = bodyOf(json, "Erde");
+  assert.equal(erde.lastPerihelion.datum, "04.01.2025");
+  assert.equal(erde.nextPerihelion.datum, "03.01.2026");
+});
+
+test("ungültiges Datum -> 400", async () => {
+  for (const date of ["2025-02-30x", "2025-02-30"]) {
+    const { status, json } = await callHandler(handler, { date });
+    assert.equal(status, 400, date);
+    assert.equal(json.ok, false);
+  }
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/prenatal-check.js";
+import { callHandler } from "./helpers/handler.js";
+
+const BIRTH = { birthDate: "1985-09-10", birthTime: "08:15", birthTz: "Europe/Berlin" };
+
+// user-023: Geburt mit Datum, Uhrzeit und Zone, Durchgänge
+test("ungültige Geburtsangaben oder Ort -> 400", async () => {
+  for (const q of [
+    { birthDate: "1985-13-10" },
+    { birthTime: "25:30" },
+    { birthTime: "abc" },
+    { birthTz: "Foo/Bar" },
+    { birthTz: "+15" },
+    { birthTz: "LMT" },
+    { birthLat: "abc", birthLon: 13.4 },
+    { birthLat: 95, birthLon: 13.4 },
+    { birthLat: 52.5 },
+  ]) {
+    const { status, json } = await callHandler(handler, { ...BIRTH, planets: "pluto", ...q });
+    assert.equal(status, 400, JSON.stringify(q));
+    assert.equal(json.ok, false);
+  }
+});
+
+test("Zeitumstellung: fehlende Ortszeit verschoben, doppelte Ortszeit früherer Zeitpunkt", async () => {
+  const gap = await callHandler(handler, { birthDate: "2025-03-30", birthTime: "02:30", birthTz: "Europe/Berlin", planets: "pluto" });
+  assert.equal(gap.status, 200);
+  assert.equal(gap.json.birth.datetime_utc, "2025-03-30T01:30:00.000Z");
+  assert.match(gap.json.birth.warning, /existiert nicht/);
+
+  const overlap = await callHandler(handler, { birthDate: "2025-10-26", birthTime: "02:30", birthTz: "Europe/Berlin", planets: "pluto" });
+  assert.equal(overlap.status, 200);
+  assert.equal(overlap.json.birth.datetime_utc, "2025-10-26T00:30:00.000Z");
+  assert.equal(overlap.json.birth.datetime_local, "2025-10-26T02:30:00+02:00");
+  assert.match(overlap.json.birth.warning, /zweimal/);
+
+  const legacy = await callHandler(handler, { year: 1985, month: 9, day: 10, planets: "pluto" });
+  assert.equal(legacy.json.birth.datetime_utc, "1985-09-10T00:00:00.000Z");
+  assert.match(legacy.json.birth.warning, /00:00 UT/);
+});
+
+test("Durchgänge werden über das Fenster hinaus gezählt", async () => {
+  const { status, json } = await callHandler(handler, { ...BIRTH, planets: "saturn" });
+  assert.equal(status, 200);
+  const [saturn] = json.results;
+  assert.deepEqual(
+    saturn.hits.map((h) => [h.datetime_utc, h.passText]),
+    [
+      ["1984-12-16T13:22:00.000Z", "1/3 direkt"],
+      ["1985-06-08T04:44:00.000Z", "2/3 rückläufig"],
+    ]
+  );
+  for (const h of saturn.hits) assert.equal(h.retro, h.pass === 2 ? "R" : "");
+});
+
+// user-025: letzte Syzygie und Finsternisse vor der Geburt
+test("pränatale Syzygie und Finsternisse", async () => {
+  const { status, json } = await callHandler(handler, {
+    birthDate: "1980-05-01", birthTime: "14:30", birthTz: "Europe/Berlin", planets: "pluto"
+  });
+  assert.equal(status, 200);
+  const { syzygy, solarEclipse, lunarEclipse } = json.prenatal;
+
+  assert.equal(syzygy.phase, "full");
+  assert.equal(syzygy.datetime_utc, "1980-04-30T07:35:00.000Z");
+  assert.equal(syzygy.datetime_local, "1980-04-30T09:35:00+02:00");
+
+  assert.deepEqual(solarEclipse.date, { year: 1980, month: 2, day: 16 });
+  assert.equal(solarEclipse.type, "total");
+  assert.deepEqual(lunarEclipse.date, { year: 1980, month: 3, day: 1 });
+  assert.equal(lunarEclipse.type, "penumbral");
+});
+
+test("Syzygie kurz vor der Geburt wird noch gefunden", async () => {
+  // Vollmond 1980-04-30 07:35 UT, Geburt eine Minute später
+  const { json } = await callHandler(handler, {
+    birthDate: "1980-04-30", birthTime: "07:36", birthTz: "UTC", planets: "pluto"
+  });
+  assert.equal(json.prenatal.syzygy.phase, "full");
+  assert.equal(json.prenatal.syzygy.datetime_utc, "1980-04-30T07:35:00.000Z");
+});
+
+// user-024: Fenster, Planeten und Aspekte
+test("Aspekte: Treffer liegen auf Geburtsgrad ± Aspektwinkel im Fenster", async () => {
+  const { status, json } = await callHandler(handler, { ...BIRTH, planets: "mars", aspects: "quadrat,opposition" });
+  assert.equal(status, 200);
+  assert.deepEqual(json.aspects, ["Quadrat (90°)", "Opposition (180°)"]);
+
+  const [mars] = json.results;
+  assert.ok(mars.hits.length > 0);
+  for (const h of mars.hits) {
+    const targets = h.aspectAngle === 90 ? [mars.natal.lon + 90, mars.natal.lon - 90] : [mars.natal.lon + 180];
+    const off = Math.min(...targets.map((t) => Math.abs(((h.lon - t + 540) % 360) - 180)));
+    assert.ok(off < 0.01, `${h.aspect} ${h.lon} (Geburt ${mars.natal.lon})`);
+    assert.ok(h.datetime_utc >= json.window.from && h.datetime_utc < json.window.to);
+  }
+  assert.ok(mars.hits.some((h) => h.aspect === "Quadrat"));
+  assert.ok(mars.hits.some((h) => h.aspect === "Opposition"));
+});
+
+test("Fenster aus Empfängnis oder Termin", async () => {
+  const conception = await callHandler(handler, { ...BIRTH, planets: "pluto", conception: "1984-12-20" });
+  assert.equal(conception.json.window.from, "1984-12-20T00:00:00.000Z");
+  assert.equal(conception.json.ignoreLastDays, 30);
+
+  // Termin 1985-09-11 -> Empfängnis 266 Tage früher
+  const due = await callHandler(handler, { ...BIRTH, planets: "pluto", dueDate: "1985-09-11", ignoreLastDays: 0 });
+  assert.equal(due.json.window.from, "1984-12-19T00:00:00.000Z");
+  assert.equal(due.json.window.to, "1985-09-10T06:15:00.000Z");
+});
+
+test("ungültige Planeten, Aspekte oder Fenster -> 400", async () => {
+  for (const q of [
+    { planets: "vulkan" },
+    { planets: "," },
+    { aspects: "quintil" },
+    { lookbackDays: 0 },
+    { lookbackDays: 400 },
+    { lookbackDays: "abc" },
+    { ignoreLastDays: 270 },
+    { ignoreLastDays: -1 },
+    { conception: "1985-13-01" },
+    { conception: "1985-09-11" },
+    { format: "xml" },
+  ]) {
+    const { status, json } = await callHandler(handler, { ...BIRTH, ...q });
+    assert.equal(status, 400, JSON.stringify(q));
+    assert.equal(json.ok, false);
+  }
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/retro-stationen-year.js";
+import { callHandler } from "./helpers/handler.js";
+
+// user-005: Stationen und Schattenphasen
+test("Merkur 2025: drei Rückläufigkeiten, Schatten auf den Stationsgraden", async () => {
+  const { status, json } = await callHandler(handler, { year: 2025 });
+  assert.equal(status, 200);
+  const merkur = json.bodies.find((b) => b.body === "Merkur");
+  assert.deepEqual(merkur.stations.map((s) => s.stationRetro.datum), ["15.03.2025", "18.07.2025", "09.11.2025"]);
+
+  const [march] = merkur.stations;
+  assert.equal(march.stationRetro.datetime_utc, "2025-03-15T06:46:00.000Z");
+  assert.equal(march.stationRetro.posText, "9°35′ Widder");
+  assert.equal(march.stationDirect.datetime_utc, "2025-04-07T11:08:00.000Z");
+  assert.equal(march.stationDirect.posText, "26°49′ Fische");
+
+  for (const s of merkur.stations) {
+    assert.ok(s.preShadowStart.jd < s.stationRetro.jd && s.stationRetro.jd < s.stationDirect.jd);
+    assert.ok(s.stationDirect.jd < s.postShadowEnd.jd);
+    assert.ok(Math.abs(s.preShadowStart.lon - s.stationDirect.lon) < 0.001);
+    assert.ok(Math.abs(s.postShadowEnd.lon - s.stationRetro.lon) < 0.001);
+  }
+});
+
+test("ungültiger Zeitraum -> 400", async () => {
+  for (const q of [{ year: 3000 }, { from: "2025-03-01", to: "2025-01-01" }, { from: "2025-01-01" }]) {
+    const { status, json } = await callHandler(handler, q);
+    assert.equal(status, 400, JSON.stringify(q));
+    assert.equal(json.ok, false);
+  }
+});